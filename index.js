@@ -1,4 +1,5 @@
 const express = require('express');
+const path = require('path');
 const mongoose = require('mongoose');
 const bodyparser = require('body-parser');
 const passport = require('passport');
@@ -7,28 +8,53 @@ const passport = require('passport');
 const auth = require('./routes/api/auth');
 const profile = require('./routes/api/profile');
 const questions = require('./routes/api/questions');
+const moderation = require('./routes/api/moderation');
+const notifications = require('./routes/api/notifications');
+const pages = require('./routes/pages');
 
 
 const app = express();
 
+//environment based configuration, throws on startup when invalid
+const config = require('./setup/config');
+
+//structured logging and error handling
+const logger = require('./utils/logger');
+const requestLogger = require('./middleware/requestLogger');
+const asyncHandler = require('./middleware/asyncHandler');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+
+//client addresses behind a proxy, used by the rate limiter
+app.set('trust proxy', config.trustProxy);
+
+//request ids and one log line per request
+app.use(requestLogger);
+
 //Middleware for bodyparser and express
 app.use(bodyparser.urlencoded({extended: false}));
 app.use(bodyparser.json());
 
-//mongoDB configuration
-const db = require('./setup/myurl').mongoURL;
-
 
 //set view dir
 app.set('views', __dirname + '/views');
 app.set('view engine', 'ejs');
 
+//avatars kept by the local storage backend, names change with every upload
+app.use(config.uploads.url, express.static(config.uploads.dir, { maxAge: '30d' }));
+
+//stylesheets for the code highlighted on the server
+app.use('/css/highlight', express.static(path.join(path.dirname(require.resolve('highlight.js/package.json')), 'styles')));
+
+
+//data fixes for accounts and content from older versions
+const bootstrap = require('./setup/bootstrap');
 
 //Attempt to connect to database
 mongoose
-    .connect(db)
-    .then(()=> console.log('MongoDB connected successfully'))
-    .catch(err => console.log(err));
+    .connect(config.mongoURL)
+    .then(()=> logger.info('MongoDB connected successfully'))
+    .then(bootstrap)
+    .catch(err => logger.error('MongoDB connection failed', { error: logger.describeError(err) }));
 
 
 //passport middleware
@@ -37,21 +63,37 @@ app.use(passport.initialize());
 //configuration for JWT strategy
 require('./strategies/jsonwtStrategy')(passport);
 
+//question listing helper, handles search, sorting and paging
+const { searchQuestions } = require('./utils/search');
+const questionValidation = require('./validation/questions');
+
 //route just for testing
-app.get('/',(req,res)=>{
-    Question.find()
-        .sort({date: 'desc'})
-        .then(questions => {
-            res.render('home',{questions:questions});
-        })
-        .catch(err=>res.json({noquestions: 'No Questions to Display'}));
-});
+app.get('/',questionValidation.listing,asyncHandler(async (req,res)=>{
+    const result = await searchQuestions(req.query);
+    res.render('home',{
+        questions: result.questions,
+        pagination: result.pagination,
+        search: req.query
+    });
+}));
+
+//server rendered question and profile pages
+app.use('/', pages);
 
 //actual routes of our application
 app.use('/api/auth', auth);
 app.use('/api/profile', profile);
 app.use('/api/questions', questions);
+app.use('/api/moderation', moderation);
+app.use('/api/notifications', notifications);
+
+//everything else is a 404, and every error ends up as JSON
+app.use(notFound);
+app.use(errorHandler);
 
-const port = process.env.PORT || 3000;
+//only listen when started directly, tests can require the app instead
+if(require.main === module){
+    app.listen(config.port,() => logger.info(`App is running at ${config.port}`, { env: config.env }));
+}
 
-app.listen(port,() => console.log(`App is running at ${port}`));
\ No newline at end of file
+module.exports = app;
\ No newline at end of file
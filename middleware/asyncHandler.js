@@ -0,0 +1,5 @@
+//wrap an async route handler so a rejected promise reaches the
+//error handler instead of leaving the request hanging
+module.exports = handler => (req,res,next) => {
+    Promise.resolve(handler(req,res,next)).catch(next);
+};
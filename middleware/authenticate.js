@@ -0,0 +1,5 @@
+const passport = require('passport');
+
+//JWT auth for private routes, failures go to the error handler
+//so they get the same JSON shape as every other error
+module.exports = passport.authenticate('jwt', { session: false, failWithError: true });
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+//turn anything thrown by a route into an AppError
+const normalize = err => {
+    if(err instanceof AppError) return err;
+    //malformed ids in queries
+    if(err instanceof mongoose.Error.CastError){
+        return new NotFoundError({ notfound: `No document found for ${err.path}` });
+    }
+    if(err instanceof mongoose.Error.ValidationError){
+        const errors = {};
+        Object.keys(err.errors).forEach(field => errors[field] = err.errors[field].message);
+        return new AppError(400, errors);
+    }
+    //unique index violations
+    if(err.code === 11000){
+        const field = Object.keys(err.keyValue || {})[0] || 'duplicate';
+        return new AppError(409, { [field]: `${field} already exists` });
+    }
+    //errors from passport (401) or body-parser (400, 413) carry a status
+    const status = err.status || err.statusCode;
+    if(status >= 400 && status < 500){
+        const key = status === 401 ? 'unauthorized' : 'error';
+        const message = status === 401 ? 'Authentication required' : err.message;
+        return new AppError(status, { [key]: message });
+    }
+    return new AppError(500, { servererror: 'Something went wrong, please try again' });
+};
+
+//unknown routes
+const notFound = (req,res,next) => {
+    next(new NotFoundError({ notfound: `Cannot ${req.method} ${req.originalUrl}` }));
+};
+
+//last middleware of the app, always answers with JSON
+const errorHandler = (err,req,res,next) => {
+    const appError = normalize(err);
+    if(appError.status >= 500){
+        logger.error('unhandled error', { requestid: req.id, error: logger.describeError(err) });
+    }
+    //too late for a JSON body, let express close the connection
+    if(res.headersSent){
+        return next(err);
+    }
+    if(appError.retryAfter){
+        res.set('Retry-After', String(Math.ceil(appError.retryAfter)));
+    }
+    res.status(appError.status).json(Object.assign({}, appError.errors, { requestid: req.id }));
+};
+
+module.exports = {
+    notFound,
+    errorHandler
+};
@@ -0,0 +1,41 @@
+const config = require('../setup/config');
+const logger = require('../utils/logger');
+const store = require('../utils/rateLimit');
+const { TooManyRequestsError } = require('../utils/errors');
+
+//throttle a route with fixed window buckets, options are
+//  name      bucket name, routes sharing a name share their budget
+//  windowMs  length of a window
+//  user      hits allowed per user in a window, needs authenticate first
+//  ip        hits allowed per client address in a window
+//either limit can be left out. Over the limit fails with a 429 and a
+//Retry-After header. Turned off with RATE_LIMIT=off
+module.exports = ({ name, windowMs, user, ip }) => async (req,res,next) => {
+    if(!config.rateLimit.enabled){
+        return next();
+    }
+    const buckets = [];
+    if(user && req.user){
+        buckets.push({ key: `${name}:user:${req.user.id}`, max: user });
+    }
+    if(ip){
+        buckets.push({ key: `${name}:ip:${req.ip}`, max: ip });
+    }
+    let limited;
+    try {
+        for(const bucket of buckets){
+            const { count, reset } = await store.hit(bucket.key, windowMs);
+            if(count > bucket.max){
+                const seconds = Math.max(1, Math.ceil((reset - Date.now()) / 1000));
+                limited = new TooManyRequestsError({
+                    toomanyrequests: `Too many requests, try again in ${seconds} seconds`
+                }, seconds);
+                break;
+            }
+        }
+    } catch(err){
+        //a broken store should not take posting down with it
+        logger.warn('rate limit store failed', { requestid: req.id, error: logger.describeError(err) });
+    }
+    next(limited);
+};
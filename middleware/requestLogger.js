@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const segments = path => path.split('/').filter(Boolean);
+
+//the route pattern instead of the requested url, so tokens in the path
+//(/api/auth/verify/:token) stay out of the logs. Express forgets the mount
+//path (req.baseUrl) once an error leaves a router, it is taken from the url
+//by cutting off as many segments as the route has. Unmatched requests log
+//their path, query strings are never logged
+const routeOf = req => {
+    const path = req.originalUrl.split('?')[0];
+    if(!req.route || typeof req.route.path !== 'string') return path;
+    const requested = segments(path);
+    const pattern = segments(req.route.path);
+    return '/' + requested.slice(0, requested.length - pattern.length).concat(pattern).join('/');
+};
+
+//give every request an id (kept from X-Request-Id when sent), echo it
+//back in the response and log one line when the response is done
+module.exports = (req,res,next) => {
+    const started = process.hrtime.bigint();
+    req.id = req.get('X-Request-Id') || crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    res.on('finish', () => {
+        const duration = Number(process.hrtime.bigint() - started) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        logger[level]('request', {
+            requestid: req.id,
+            method: req.method,
+            route: routeOf(req),
+            status: res.statusCode,
+            duration: Math.round(duration * 10) / 10,
+            user: req.user ? req.user.id : undefined
+        });
+    });
+    next();
+};
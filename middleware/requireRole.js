@@ -0,0 +1,9 @@
+const { ForbiddenError } = require('../utils/errors');
+
+//must run after authenticate, only lets the given roles through
+module.exports = (...roles) => (req,res,next) => {
+    if(!req.user || !roles.includes(req.user.role)){
+        return next(new ForbiddenError({notallowed: 'You do not have permission to do this'}));
+    }
+    next();
+};
@@ -0,0 +1,10 @@
+const { ForbiddenError } = require('../utils/errors');
+
+//must run after authenticate, blocks users who have not
+//confirmed their email address yet
+module.exports = (req,res,next) => {
+    if(!req.user || !req.user.verified){
+        return next(new ForbiddenError({notverified: 'Please verify your email address first'}));
+    }
+    next();
+};
@@ -0,0 +1,38 @@
+const multer = require('multer');
+const { AppError, BadRequestError } = require('../utils/errors');
+
+//accept one file from a multipart form field into req.file, kept in
+//memory. Options are
+//  maxBytes  larger files fail with a 413
+//  types     allowed content types, others fail with a 400
+//a missing file fails with a 400 as well
+module.exports = (field, { maxBytes, types }) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1 },
+        fileFilter: (req, file, done) => {
+            if(!types.includes(file.mimetype)){
+                return done(new BadRequestError({ [field]: `File must be one of ${types.join(', ')}` }));
+            }
+            done(null, true);
+        }
+    }).single(field);
+
+    return (req,res,next) => {
+        upload(req, res, err => {
+            if(err instanceof multer.MulterError){
+                if(err.code === 'LIMIT_FILE_SIZE'){
+                    return next(new AppError(413, { [field]: `File must be at most ${Math.floor(maxBytes / 1024)} KB` }));
+                }
+                return next(new BadRequestError({ [field]: err.message }));
+            }
+            if(err){
+                return next(err);
+            }
+            if(!req.file){
+                return next(new BadRequestError({ [field]: 'A file is required' }));
+            }
+            next();
+        });
+    };
+};
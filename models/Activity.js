@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+//one entry per thing a user did on a question, read back by the feed
+//of followed questions and the timeline of followed users
+const ActivitySchema = new Schema({
+    //who did it
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson",
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['question', 'answer', 'upvote', 'downvote'],
+        required: true
+    },
+    question: {
+        type: Schema.Types.ObjectId,
+        ref: "myQuestion",
+        required: true
+    },
+    //set when it happened on an answer
+    answer: {
+        type: Schema.Types.ObjectId
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ActivitySchema.index({ question: 1, date: -1 });
+ActivitySchema.index({ actor: 1, date: -1 });
+
+module.exports = Activity = mongoose.model("myActivity",ActivitySchema);
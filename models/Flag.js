@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+//a report of a question or answer, waits in the moderation queue
+//until a moderator resolves or dismisses it
+const FlagSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson"
+    },
+    question: {
+        type: Schema.Types.ObjectId,
+        ref: "myQuestion",
+        required: true
+    },
+    //set when an answer of the question was flagged
+    answer: {
+        type: Schema.Types.ObjectId
+    },
+    reason: {
+        type: String,
+        enum: ['spam', 'offensive', 'offtopic', 'duplicate', 'other'],
+        required: true
+    },
+    details: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['open', 'resolved', 'dismissed'],
+        default: 'open',
+        index: true
+    },
+    handledby: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson"
+    },
+    handled: {
+        type: Date
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = Flag = mongoose.model("myFlag",FlagSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+//audit trail, one entry for every moderator action
+const ModerationLogSchema = new Schema({
+    moderator: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson",
+        required: true
+    },
+    action: {
+        type: String,
+        required: true
+    },
+    question: {
+        type: Schema.Types.ObjectId,
+        ref: "myQuestion"
+    },
+    answer: {
+        type: Schema.Types.ObjectId
+    },
+    flag: {
+        type: Schema.Types.ObjectId,
+        ref: "myFlag"
+    },
+    //person affected by a role change
+    target: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson"
+    },
+    reason: {
+        type: String
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+module.exports = ModerationLog = mongoose.model("myModerationLog",ModerationLogSchema);
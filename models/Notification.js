@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+//something that happened to a user's posts, shown until they read it
+const NotificationSchema = new Schema({
+    //who gets notified
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson",
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['answer', 'upvote', 'accepted', 'mention'],
+        required: true
+    },
+    //who caused it, and their name at the time
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson"
+    },
+    actorname: {
+        type: String
+    },
+    question: {
+        type: Schema.Types.ObjectId,
+        ref: "myQuestion"
+    },
+    answer: {
+        type: Schema.Types.ObjectId
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    //unread while empty
+    read: {
+        type: Date,
+        default: null
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+NotificationSchema.index({ user: 1, read: 1, date: -1 });
+
+module.exports = Notification = mongoose.model("myNotification",NotificationSchema);
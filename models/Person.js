@@ -17,6 +17,81 @@ const PersonSchema = new Schema({
     username: {
         type: String
     },
+    //moderators and admins get the moderation tools, admins can also hand out roles
+    role: {
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user'
+    },
+    //accounts run by the app itself, like the owner of deleted users' posts.
+    //Nobody logs in as them or resets their password
+    system: {
+        type: Boolean,
+        default: false
+    },
+    //set once the email address is confirmed
+    verified: {
+        type: Boolean,
+        default: false
+    },
+    //failed logins in a row, reset on success or once the lock is set
+    loginattempts: {
+        type: Number,
+        default: 0
+    },
+    //logins are refused until then
+    lockuntil: {
+        type: Date
+    },
+    //saved questions, newest last
+    bookmarks: [
+        {
+            question: {
+                type: Schema.Types.ObjectId,
+                ref: "myQuestion"
+            },
+            date: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    //questions whose answers and upvotes show up in the feed
+    following: [
+        {
+            question: {
+                type: Schema.Types.ObjectId,
+                ref: "myQuestion"
+            },
+            date: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    //feed entries newer than the visit before the last one are unseen
+    lastfeedvisit: {
+        type: Date
+    },
+    previousfeedvisit: {
+        type: Date
+    },
+    //uploaded avatar thumbnails, key names the set in utils/storage
+    avatar: {
+        key: {
+            type: String
+        },
+        small: {
+            type: String
+        },
+        medium: {
+            type: String
+        },
+        large: {
+            type: String
+        }
+    },
+    //url of the picture shown for the user, the medium avatar once uploaded
     profilepic: {
         type: String,
         default: "https://image.shutterstock.com/image-vector/man-avatar-profile-picture-vector-260nw-229692004.jpg"
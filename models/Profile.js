@@ -24,6 +24,12 @@ const ProfileSchema = new Schema({
     portfolio: {
         type: String
     },
+    //sum of the user's reputation history, see models/Reputation
+    reputation: {
+        type: Number,
+        default: 0,
+        index: true
+    },
     workrole: [
         {
             role:{
@@ -51,6 +57,75 @@ const ProfileSchema = new Schema({
             }
         }
     ],
+    education: [
+        {
+            school: {
+                type: String,
+                required: true
+            },
+            degree: {
+                type: String
+            },
+            fieldofstudy: {
+                type: String
+            },
+            from: {
+                type: Date
+            },
+            to: {
+                type: Date
+            },
+            current: {
+                type: Boolean,
+                default: false
+            },
+            details: {
+                type: String
+            }
+        }
+    ],
+    //awarded automatically, see utils/badges
+    badges: [
+        {
+            key: {
+                type: String,
+                required: true
+            },
+            name: {
+                type: String
+            },
+            date: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    //users this one follows, their activity makes up the timeline
+    follows: [
+        {
+            user: {
+                type: Schema.Types.ObjectId,
+                ref: "myPerson"
+            },
+            date: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    //users following this one, kept in step with their `follows`
+    followers: [
+        {
+            user: {
+                type: Schema.Types.ObjectId,
+                ref: "myPerson"
+            },
+            date: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
     social: {
         youtube: {
             type: String
@@ -60,6 +135,15 @@ const ProfileSchema = new Schema({
         },
         instagram: {
             type: String
+        },
+        github: {
+            type: String
+        },
+        linkedin: {
+            type: String
+        },
+        personalsite: {
+            type: String
         }
     },
     date: {
@@ -69,4 +153,17 @@ const ProfileSchema = new Schema({
 
 });
 
+//latest start first, entries without a start date go last
+const byStartDate = (a, b) => (b.from ? b.from.getTime() : -Infinity) - (a.from ? a.from.getTime() : -Infinity) || 0;
+
+//work roles and education are kept sorted by their start date
+ProfileSchema.pre('save', function(next){
+    ['workrole', 'education'].forEach(section => {
+        if(this.isModified(section)){
+            this[section].sort(byStartDate);
+        }
+    });
+    next();
+});
+
 module.exports = Profile = mongoose.model("myProfile",ProfileSchema);
\ No newline at end of file
@@ -1,5 +1,106 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const markdown = require('../utils/markdown');
+
+//short comments, used both on questions and on answers
+const CommentSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson"
+    },
+    name: {
+        type: String
+    },
+    text: {
+        type: String,
+        required: true,
+        maxlength: 600
+    },
+    //@username mentions resolved against profiles
+    mentions: [
+        {
+            user: {
+                type: Schema.Types.ObjectId,
+                ref: "myPerson"
+            },
+            username: {
+                type: String
+            }
+        }
+    ],
+    edited: {
+        type: Date
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+//answers to a question, also used for answers removed by moderators
+const AnswerSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson"
+    },
+    //markdown source, texthtml is its sanitized rendering
+    text: {
+        type: String,
+        required: true
+    },
+    texthtml: {
+        type: String
+    },
+    name: {
+        type: String
+    },
+    upvotes: [
+        {
+            user: {
+                type: Schema.Types.ObjectId,
+                ref: "myPerson"
+            }
+        }
+    ],
+    downvotes: [
+        {
+            user: {
+                type: Schema.Types.ObjectId,
+                ref: "myPerson"
+            }
+        }
+    ],
+    score: {
+        type: Number,
+        default: 0
+    },
+    //everyone who ever upvoted, kept through retractions so only a first
+    //upvote counts as activity on the question
+    upvotedby: [
+        {
+            type: Schema.Types.ObjectId,
+            ref: "myPerson"
+        }
+    ],
+    accepted: {
+        type: Boolean,
+        default: false
+    },
+    comments: [CommentSchema],
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+//runs for every answer whenever its question is saved
+AnswerSchema.pre('save', function(next){
+    if(this.isNew || this.isModified('text')){
+        this.texthtml = markdown.render(this.text);
+    }
+    next();
+});
 
 const QuestionSchema = new Schema({
     user: {
@@ -10,13 +111,21 @@ const QuestionSchema = new Schema({
         type: String,
         required: true
     },
+    //markdown source of the body, texttwohtml is its sanitized rendering
     texttwo: {
         type: String,
         required: true
     },
+    texttwohtml: {
+        type: String
+    },
     name: {
         type: String
     },
+    tags: {
+        type: [String],
+        index: true
+    },
     upvotes: [
         {
             user: {
@@ -25,29 +134,112 @@ const QuestionSchema = new Schema({
             }
         }
     ],
-    answers: [
+    downvotes: [
         {
             user: {
                 type: Schema.Types.ObjectId,
                 ref: "myPerson"
-            },
-            text: {
-                type: String,
-                required: true
-            },
-            name: {
-                type: String
-            },
-            date: {
-                type: Date,
-                default: Date.now
             }
         }
     ],
+    //upvotes minus downvotes, kept in sync by utils/votes
+    score: {
+        type: Number,
+        default: 0
+    },
+    //see the answer upvotedby
+    upvotedby: [
+        {
+            type: Schema.Types.ObjectId,
+            ref: "myPerson"
+        }
+    ],
+    answers: [AnswerSchema],
+    //answers taken down by moderators, kept so they can be restored
+    removedanswers: [AnswerSchema],
+    comments: [CommentSchema],
+    //denormalized for sorting listings, maintained on save
+    answercount: {
+        type: Number,
+        default: 0
+    },
+    //last new answer, or first upvote of a user, on the question or its answers
+    lastactivity: {
+        type: Date,
+        default: Date.now
+    },
+    //distinct viewers, see utils/views
+    views: {
+        type: Number,
+        default: 0
+    },
+    //moderation state, see routes/api/moderation
+    closed: {
+        type: Date
+    },
+    closedreason: {
+        type: String
+    },
+    locked: {
+        type: Boolean,
+        default: false
+    },
+    deleted: {
+        type: Date
+    },
+    //fingerprint of title and body, used to refuse reposts
+    contenthash: {
+        type: String,
+        index: true
+    },
+    //true once the question owner accepts one of the answers
+    resolved: {
+        type: Boolean,
+        default: false
+    },
     date: {
         type: Date,
         default: Date.now
     }
 });
 
+//full text search over title, body and answers, title matters most
+QuestionSchema.index(
+    { textone: 'text', texttwo: 'text', 'answers.text': 'text' },
+    { weights: { textone: 5, texttwo: 2, 'answers.text': 1 }, name: 'question_text' }
+);
+
+//same hash for texts that only differ in case, spacing or punctuation
+QuestionSchema.statics.contentHash = (textone, texttwo) => {
+    const normalize = text => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    return crypto.createHash('sha256')
+        .update(`${normalize(textone)}\n${normalize(texttwo)}`)
+        .digest('hex');
+};
+
+//keep the content hash, the rendered body and the accepted answer on top
+//current, rest of the answers stay in their existing order
+QuestionSchema.pre('save', function(next){
+    if(this.isModified('textone') || this.isModified('texttwo')){
+        this.contenthash = this.constructor.contentHash(this.textone, this.texttwo);
+    }
+    if(this.isNew || this.isModified('texttwo')){
+        this.texttwohtml = markdown.render(this.texttwo);
+    }
+    //votes and comments on answers show up as modified answers too, only
+    //a new answer counts as activity. Upvotes are stamped by the vote route
+    if(this.isModified('answers') && this.answers.length > this.answercount){
+        this.lastactivity = Date.now();
+    }
+    //counted on every save, a count that went stale is put right by the
+    //next save whatever it changes
+    this.answercount = this.answers.length;
+    const accepted = this.answers.find(answer => answer.accepted);
+    this.resolved = Boolean(accepted);
+    if(accepted && this.answers[0] !== accepted){
+        this.answers = [accepted].concat(this.answers.filter(answer => answer !== accepted));
+    }
+    next();
+});
+
 module.exports = Question = mongoose.model('myQuestion',QuestionSchema);
\ No newline at end of file
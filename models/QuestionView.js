@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+//who saw which question recently, so reloading a page does not count
+//as a new view. Entries expire after a day and the viewer counts again
+const QuestionViewSchema = new Schema({
+    question: {
+        type: Schema.Types.ObjectId,
+        ref: "myQuestion",
+        required: true
+    },
+    //hash of the client address and user agent, see utils/views
+    viewer: {
+        type: String,
+        required: true
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+        expires: 60 * 60 * 24
+    }
+});
+
+QuestionViewSchema.index({ question: 1, viewer: 1 }, { unique: true });
+
+module.exports = QuestionView = mongoose.model("myQuestionView",QuestionViewSchema);
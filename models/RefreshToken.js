@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+//one document per login session, the refresh token is rotated on every
+//use and only its hash is stored. Access tokens carry the session id so
+//revoking the session logs them out immediately
+const RefreshTokenSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson",
+        index: true
+    },
+    tokenhash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    //hashes of tokens already rotated away, presenting one again
+    //means the token was stolen and the session gets revoked
+    usedhashes: {
+        type: [String],
+        index: true
+    },
+    expires: {
+        type: Date,
+        required: true
+    },
+    revoked: {
+        type: Date
+    },
+    useragent: {
+        type: String
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = RefreshToken = mongoose.model("myRefreshToken",RefreshTokenSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+//one entry per reputation change, the profile keeps the running total
+const ReputationSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson",
+        index: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    //who caused the change, e.g. the voter
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: "myPerson"
+    },
+    question: {
+        type: Schema.Types.ObjectId,
+        ref: "myQuestion"
+    },
+    answer: {
+        type: Schema.Types.ObjectId
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = Reputation = mongoose.model("myReputation",ReputationSchema);
@@ -1,9 +1,72 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jsonwt = require('jsonwebtoken');
-const passport = require('passport');
-const key = require('../../setup/myurl');
+const config = require('../../setup/config');
+const authenticate = require('../../middleware/authenticate');
+const asyncHandler = require('../../middleware/asyncHandler');
+const rateLimit = require('../../middleware/rateLimit');
+const { BadRequestError, NotFoundError, TooManyRequestsError, UnauthorizedError } = require('../../utils/errors');
+
+//request validation
+const validation = require('../../validation/auth');
+
+//session and token helpers
+const {
+    issueTokens,
+    rotateTokens,
+    revokeSessions,
+    revokeByRefreshToken,
+    signAccountToken,
+    redeemAccountToken
+} = require('../../utils/tokens');
+
+//mail sending
+const mailer = require('../../utils/mailer');
+
+//guessing passwords or mailing strangers from one address
+const MINUTE = 60 * 1000;
+const limitLogin = rateLimit({ name: 'login', windowMs: 15 * MINUTE, ip: 30 });
+const limitMail = rateLimit({ name: 'mail', windowMs: 60 * MINUTE, ip: 10 });
+
+//refuse logins while the account is locked after too many failures
+const checkLocked = person => {
+    if(person.lockuntil && person.lockuntil > Date.now()){
+        const seconds = Math.ceil((person.lockuntil - Date.now()) / 1000);
+        throw new TooManyRequestsError({
+            locked: `Too many failed logins, try again in ${Math.ceil(seconds / 60)} minutes`
+        }, seconds);
+    }
+};
+
+//count a failed login, locks the account once the limit is reached
+const recordFailedLogin = async person => {
+    const updated = await Person.findByIdAndUpdate(person._id, { $inc: { loginattempts: 1 } }, { new: true });
+    if(updated.loginattempts >= config.login.maxAttempts){
+        const lockuntil = Date.now() + config.login.lockMinutes * MINUTE;
+        await Person.updateOne({ _id: person._id }, { $set: { lockuntil, loginattempts: 0 } });
+        checkLocked({ lockuntil });
+    }
+};
+
+const baseUrl = req => config.appURL || `${req.protocol}://${req.get('host')}`;
+
+const sendVerificationMail = (person, req) => {
+    const link = `${baseUrl(req)}/api/auth/verify/${signAccountToken(person, 'verify')}`;
+    return mailer.send({
+        to: person.email,
+        subject: 'Confirm your Bigstack account',
+        text: `Hi ${person.name},\n\nPlease confirm your email address by opening this link within a day:\n${link}`
+    });
+};
+
+const sendResetMail = (person, req) => {
+    const token = signAccountToken(person, 'reset');
+    return mailer.send({
+        to: person.email,
+        subject: 'Reset your Bigstack password',
+        text: `Hi ${person.name},\n\nUse this token within an hour to choose a new password with POST ${baseUrl(req)}/api/auth/password/reset:\n${token}\n\nIf you did not ask for this, ignore this mail.`
+    });
+};
 
 // @type  GET
 // @route /api/auth
@@ -24,95 +87,165 @@ const Person = require('../../models/Person');
 // @route  /api/auth/register
 // @desc   route for registration of users
 // @access PUBLIC
-router.post('/register',(req,res)=> {
-    Person.findOne({email: req.body.email})
-        .then( person => {
-            if(person){
-                return res.status(400).json({emailerror: 'Email is already registered'})
-            } else{
-                const newPerson = new Person({
-                    name: req.body.name,
-                    email: req.body.email,
-                    password: req.body.password
-                });
-                //Encrypting password using bcrypt
-                bcrypt.genSalt(10,(err, salt)=> {
-                    bcrypt.hash(newPerson.password, salt, (err, hash)=> {
-                        // Store hash in your password DB.
-                        if(err) throw err;
-                        newPerson.password = hash;
-                        newPerson
-                            .save()
-                            .then(person => res.json(person))
-                            .catch(err => console.log(err))
-                    });
-                });
-
-            }
-        })
-        .catch(err => console.log(err));
-});
+router.post('/register',limitMail,validation.register,asyncHandler(async (req,res)=> {
+    const person = await Person.findOne({email: req.body.email});
+    if(person){
+        throw new BadRequestError({emailerror: 'Email is already registered'});
+    }
+    const newPerson = new Person({
+        name: req.body.name,
+        email: req.body.email,
+        password: req.body.password
+    });
+    //Encrypting password using bcrypt
+    newPerson.password = await bcrypt.hash(newPerson.password, 10);
+    await newPerson.save();
+    await sendVerificationMail(newPerson, req);
+    //never the password hash, role or login lock fields
+    res.json({
+        id: newPerson.id,
+        name: newPerson.name,
+        email: newPerson.email,
+        verified: newPerson.verified
+    });
+}));
 
 // @type   POST
 // @route  /api/auth/login
 // @desc   route for Login of users
 // @access PUBLIC
-router.post('/login', (req,res)=> {
+router.post('/login', limitLogin, validation.login, asyncHandler(async (req,res)=> {
     const email = req.body.email;
     const password = req.body.password;
 
-    Person.findOne({ email })
-        .then(person => {
-            if(!person){
-                return res.status(404).json({emailerror: 'User not found with this email'});
-            }
-            bcrypt
-                .compare(password, person.password)
-                .then(isCorrect => {
-                    if(isCorrect){
-                        //res.json({success: 'User is successfully login'});
-                        //use payload and create token for user
-                        const payload = {
-                            id: person.id,
-                            name: person.name,
-                            email: person.email
-                        };
-                        const token = jsonwt.sign(
-                            payload,
-                            key.secret,
-                            {expiresIn: 3600},
-                            /*(err,token) => {
-                                res.json({
-                                    success: true,
-                                    token: "Bearer " + token
-                                });
-                            }*/
-                        );
-                        return res.json({ status:'ok',data:token});
-                    }
-                    else{
-                        //res.status(400).json({passworderror: 'Password is not correct'});
-                        res.redirect("/api/auth");
-                    }
-                    
-                })
-                .catch(err => console.log(err));
-            
-        })
-        .catch(err => console.log(err))
-        //res.redirect("/api/auth/profile");
-});
+    const person = await Person.findOne({ email });
+    //system accounts are not for logging in, answer as if they did not exist
+    if(!person || person.system){
+        throw new NotFoundError({emailerror: 'User not found with this email'});
+    }
+    checkLocked(person);
+    const isCorrect = await bcrypt.compare(password, person.password);
+    if(!isCorrect){
+        await recordFailedLogin(person);
+        throw new BadRequestError({passworderror: 'Password is not correct'});
+    }
+    if(person.loginattempts || person.lockuntil){
+        await Person.updateOne({ _id: person._id }, { $set: { loginattempts: 0 }, $unset: { lockuntil: 1 } });
+    }
+    //start a session, access token plus a refresh token to renew it
+    const tokens = await issueTokens(person, req.get('User-Agent'));
+    res.json({
+        status: 'ok',
+        data: tokens.token,
+        refreshtoken: tokens.refreshtoken
+    });
+}));
+
+// @type   POST
+// @route  /api/auth/refresh
+// @desc   route for swapping a refresh token for a new access and refresh token
+// @access PUBLIC
+router.post('/refresh', validation.refresh, asyncHandler(async (req,res)=> {
+    const tokens = await rotateTokens(req.body.refreshtoken);
+    if(!tokens){
+        throw new UnauthorizedError({refreshtoken: 'Refresh token is invalid or expired'});
+    }
+    res.json({ status: 'ok', data: tokens.token, refreshtoken: tokens.refreshtoken });
+}));
+
+// @type   POST
+// @route  /api/auth/logout
+// @desc   route for logging out, revokes the current session or every
+//         session of the user when `all` is true. The session is the one
+//         of the access token, or of `refreshtoken` when given, so a client
+//         whose access token expired can still log out
+// @access PRIVATE
+router.post('/logout', validation.logout, (req,res,next) => {
+    if(req.body.refreshtoken) return next();
+    authenticate(req,res,next);
+}, asyncHandler(async (req,res)=> {
+    const all = req.body.all === true || req.body.all === 'true';
+    if(req.body.refreshtoken){
+        if(!await revokeByRefreshToken(req.body.refreshtoken, all)){
+            throw new UnauthorizedError({refreshtoken: 'Refresh token is invalid or expired'});
+        }
+    } else {
+        await revokeSessions(req.user.id, all ? undefined : req.authInfo.sid);
+    }
+    res.json({success: 'Logged out successfully'});
+}));
+
+// @type   GET
+// @route  /api/auth/verify/:token
+// @desc   route for confirming an email address, linked from the verification mail
+// @access PUBLIC
+router.get('/verify/:token', validation.verify, asyncHandler(async (req,res)=> {
+    const person = await redeemAccountToken(req.params.token, 'verify');
+    if(!person){
+        throw new BadRequestError({verifytoken: 'Verification link is invalid or expired'});
+    }
+    person.verified = true;
+    await person.save();
+    res.json({success: 'Email verified successfully'});
+}));
+
+// @type   POST
+// @route  /api/auth/verify
+// @desc   route for sending the verification mail again
+// @access PRIVATE
+router.post('/verify', authenticate, limitMail, asyncHandler(async (req,res)=> {
+    if(req.user.verified){
+        throw new BadRequestError({verified: 'Email is already verified'});
+    }
+    await sendVerificationMail(req.user, req);
+    res.json({success: 'Verification mail sent'});
+}));
+
+// @type   POST
+// @route  /api/auth/password/forgot
+// @desc   route for requesting a password reset mail
+// @access PUBLIC
+router.post('/password/forgot', limitMail, validation.forgot, asyncHandler(async (req,res)=> {
+    const person = await Person.findOne({email: req.body.email});
+    if(person && !person.system){
+        await sendResetMail(person, req);
+    }
+    //same answer whether the email is known or not, so accounts can not be probed
+    res.json({success: 'If the email is registered, a reset mail was sent'});
+}));
+
+// @type   POST
+// @route  /api/auth/password/reset
+// @desc   route for choosing a new password with the token from the reset mail
+// @access PUBLIC
+router.post('/password/reset', validation.reset, asyncHandler(async (req,res)=> {
+    const person = await redeemAccountToken(req.body.token, 'reset');
+    if(!person){
+        throw new BadRequestError({resettoken: 'Reset token is invalid or expired'});
+    }
+    person.password = await bcrypt.hash(req.body.password, 10);
+    //the mail reached its owner, so the address is confirmed too
+    person.verified = true;
+    //and a fresh password lifts a lock from failed logins
+    person.loginattempts = 0;
+    person.lockuntil = undefined;
+    await person.save();
+    //log out everywhere, the old password may be compromised
+    await revokeSessions(person.id);
+    res.json({success: 'Password changed successfully'});
+}));
 
 // @type   GET
 // @route  /api/auth/profile
 // @desc   route for user profile
 // @access PRIVATE
 
-router.get('/profile', passport.authenticate('jwt',{session: false}), (req,res) => {
+router.get('/profile', authenticate, (req,res) => {
     res.json({
         id: req.user.id,
         name: req.user.name,
         email: req.user.email,
+        verified: req.user.verified,
         profilepic:  req.user.profilepic
     });
 });
@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../../middleware/authenticate');
+const asyncHandler = require('../../middleware/asyncHandler');
+const requireRole = require('../../middleware/requireRole');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+
+//request validation
+const validation = require('../../validation/moderation');
+
+//load Person Model
+const Person = require('../../models/Person');
+
+//Load Question Model
+const Question = require('../../models/Question');
+
+//Load Flag Model
+const Flag = require('../../models/Flag');
+
+//Load ModerationLog Model
+const ModerationLog = require('../../models/ModerationLog');
+
+//reputation bookkeeping
+const reputation = require('../../utils/reputation');
+
+//paging helper
+const { pageParams, pagination } = require('../../utils/pagination');
+
+//every route here is for moderators, admins included
+const moderator = requireRole('moderator', 'admin');
+
+//write an audit log entry for the current moderator
+const audit = (req, action, fields = {}) => {
+    return new ModerationLog(Object.assign({
+        moderator: req.user.id,
+        action,
+        reason: req.body.reason
+    }, fields)).save();
+};
+
+//load the question of the :id param, removed ones included, or fail with 404
+const findQuestion = async req => {
+    const question = await Question.findById(req.params.id);
+    if(!question){
+        throw new NotFoundError({questionnotfound: 'No question found'});
+    }
+    return question;
+};
+
+//shared handler for the on/off moderation states of a question,
+//`apply` flips the state and returns false when nothing changed
+const toggle = (action, apply, unchanged) => asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    if(!apply(question, req)){
+        throw new BadRequestError(unchanged);
+    }
+    await question.save();
+    await audit(req, action, { question: question._id });
+    res.json(question);
+});
+
+// @type   POST
+// @route  /api/moderation/close/:id
+// @desc   route for closing a question to new answers, needs a reason
+// @access MODERATOR
+router.post('/close/:id',authenticate,moderator,validation.close,toggle('close', (question, req) => {
+    if(question.closed) return false;
+    question.closed = Date.now();
+    question.closedreason = req.body.reason;
+    return true;
+}, {closed: 'Question is already closed'}));
+
+// @type   DELETE
+// @route  /api/moderation/close/:id
+// @desc   route for reopening a closed question
+// @access MODERATOR
+router.delete('/close/:id',authenticate,moderator,validation.action,toggle('reopen', question => {
+    if(!question.closed) return false;
+    question.closed = undefined;
+    question.closedreason = undefined;
+    return true;
+}, {notclosed: 'Question is not closed'}));
+
+// @type   POST
+// @route  /api/moderation/lock/:id
+// @desc   route for locking a question, nobody can answer, vote, comment or edit
+// @access MODERATOR
+router.post('/lock/:id',authenticate,moderator,validation.action,toggle('lock', question => {
+    if(question.locked) return false;
+    question.locked = true;
+    return true;
+}, {locked: 'Question is already locked'}));
+
+// @type   DELETE
+// @route  /api/moderation/lock/:id
+// @desc   route for unlocking a question
+// @access MODERATOR
+router.delete('/lock/:id',authenticate,moderator,validation.action,toggle('unlock', question => {
+    if(!question.locked) return false;
+    question.locked = false;
+    return true;
+}, {notlocked: 'Question is not locked'}));
+
+// @type   DELETE
+// @route  /api/moderation/questions/:id
+// @desc   route for removing a question, it can be restored later
+// @access MODERATOR
+router.delete('/questions/:id',authenticate,moderator,validation.action,asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    if(question.deleted){
+        throw new BadRequestError({deleted: 'Question is already deleted'});
+    }
+    question.deleted = Date.now();
+    await question.save();
+    await reputation.revokeForPost({ question, actor: req.user.id });
+    await audit(req, 'delete question', { question: question._id });
+    res.json(question);
+}));
+
+// @type   POST
+// @route  /api/moderation/restore/:id
+// @desc   route for restoring a removed question
+// @access MODERATOR
+router.post('/restore/:id',authenticate,moderator,validation.action,asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    if(!question.deleted){
+        throw new BadRequestError({notdeleted: 'Question is not deleted'});
+    }
+    question.deleted = undefined;
+    await question.save();
+    await reputation.restoreForPost({ question, actor: req.user.id });
+    await audit(req, 'restore question', { question: question._id });
+    res.json(question);
+}));
+
+// @type   DELETE
+// @route  /api/moderation/answers/:id/:a_id
+// @desc   route for removing an answer, it can be restored later
+// @access MODERATOR
+router.delete('/answers/:id/:a_id',authenticate,moderator,validation.action,asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    const answer = question.answers.id(req.params.a_id);
+    if(!answer){
+        throw new NotFoundError({answernotfound: 'No answer found'});
+    }
+    //its activity is kept for a restore, feeds leave removed answers out
+    question.removedanswers.push(answer.toObject());
+    answer.remove();
+    await question.save();
+    await reputation.revokeForPost({ question, answer, actor: req.user.id });
+    await audit(req, 'delete answer', { question: question._id, answer: answer._id });
+    res.json(question);
+}));
+
+// @type   POST
+// @route  /api/moderation/restore/:id/:a_id
+// @desc   route for restoring a removed answer
+// @access MODERATOR
+router.post('/restore/:id/:a_id',authenticate,moderator,validation.action,asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    const removed = question.removedanswers.id(req.params.a_id);
+    if(!removed){
+        throw new NotFoundError({answernotfound: 'No removed answer found'});
+    }
+    //the owner may have accepted another answer in the meantime
+    const lostAcceptance = removed.accepted && question.answers.some(item => item.accepted);
+    question.answers.push(Object.assign(removed.toObject(), lostAcceptance ? { accepted: false } : {}));
+    removed.remove();
+    await question.save();
+
+    const answer = question.answers.id(req.params.a_id);
+    await reputation.restoreForPost({ question, answer, actor: req.user.id });
+    if(lostAcceptance){
+        await reputation.forAccept({ question, answer, accepted: false, actor: req.user.id });
+    }
+    await audit(req, 'restore answer', { question: question._id, answer: answer._id });
+    res.json(question);
+}));
+
+// @type   GET
+// @route  /api/moderation/flags
+// @desc   route for the moderation queue, flags grouped by flagged post,
+//         most flagged first. Takes status (default open), page and limit
+// @access MODERATOR
+router.get('/flags',authenticate,moderator,validation.flags,asyncHandler(async (req,res)=>{
+    const { page, limit, skip } = pageParams(req.query);
+    const status = req.query.status || 'open';
+    const [result] = await Flag.aggregate([
+        { $match: { status } },
+        { $group: {
+            _id: { question: '$question', answer: '$answer' },
+            count: { $sum: 1 },
+            reasons: { $addToSet: '$reason' },
+            flags: { $push: { _id: '$_id', user: '$user', reason: '$reason', details: '$details', date: '$date' } },
+            latest: { $max: '$date' }
+        } },
+        { $sort: { count: -1, latest: -1 } },
+        { $facet: {
+            items: [{ $skip: skip }, { $limit: limit }],
+            total: [{ $count: 'count' }]
+        } }
+    ]);
+    const total = result.total.length ? result.total[0].count : 0;
+
+    //attach the flagged question so moderators see what it is about
+    const questions = await Question.find({ _id: { $in: result.items.map(item => item._id.question) } })
+        .select('textone user name closed locked deleted');
+    const byId = {};
+    questions.forEach(question => byId[question.id] = question);
+
+    res.json({
+        queue: result.items.map(item => ({
+            question: byId[item._id.question.toString()] || item._id.question,
+            answer: item._id.answer,
+            count: item.count,
+            reasons: item.reasons,
+            flags: item.flags,
+            latest: item.latest
+        })),
+        pagination: pagination(page, limit, total)
+    });
+}));
+
+// @type   PUT
+// @route  /api/moderation/flags/:f_id
+// @desc   route for resolving or dismissing a flag, together with the other
+//         open flags on the same post
+// @access MODERATOR
+router.put('/flags/:f_id',authenticate,moderator,validation.handleFlag,asyncHandler(async (req,res)=>{
+    const flag = await Flag.findById(req.params.f_id);
+    if(!flag){
+        throw new NotFoundError({flagnotfound: 'No flag found'});
+    }
+    if(flag.status !== 'open'){
+        throw new BadRequestError({handled: `Flag is already ${flag.status}`});
+    }
+    const update = await Flag.updateMany(
+        { question: flag.question, answer: flag.answer || null, status: 'open' },
+        { $set: { status: req.body.status, handledby: req.user.id, handled: Date.now() } }
+    );
+    await audit(req, `flag ${req.body.status}`, {
+        flag: flag._id,
+        question: flag.question,
+        answer: flag.answer
+    });
+    res.json({ success: `Flags ${req.body.status}`, count: update.modifiedCount });
+}));
+
+// @type   GET
+// @route  /api/moderation/log
+// @desc   route for the audit log of moderator actions, newest first,
+//         takes moderator, action, page and limit as query params
+// @access MODERATOR
+router.get('/log',authenticate,moderator,validation.log,asyncHandler(async (req,res)=>{
+    const { page, limit, skip } = pageParams(req.query);
+    const filter = {};
+    if(req.query.moderator) filter.moderator = req.query.moderator;
+    if(req.query.action) filter.action = req.query.action;
+    const [entries, total] = await Promise.all([
+        ModerationLog.find(filter)
+            .sort({date: 'desc'})
+            .skip(skip)
+            .limit(limit)
+            .populate('moderator', ['name']),
+        ModerationLog.countDocuments(filter)
+    ]);
+    res.json({
+        entries,
+        pagination: pagination(page, limit, total)
+    });
+}));
+
+// @type   PUT
+// @route  /api/moderation/role/:user_id
+// @desc   route for changing the role of a user
+// @access ADMIN
+router.put('/role/:user_id',authenticate,requireRole('admin'),validation.role,asyncHandler(async (req,res)=>{
+    if(req.params.user_id === req.user.id.toString()){
+        throw new BadRequestError({role: 'You can not change your own role'});
+    }
+    const person = await Person.findById(req.params.user_id);
+    if(!person){
+        throw new NotFoundError({usernotfound: 'user not found'});
+    }
+    person.role = req.body.role;
+    await person.save();
+    await audit(req, 'change role', { target: person._id, reason: req.body.role });
+    res.json({ id: person.id, name: person.name, role: person.role });
+}));
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../../middleware/authenticate');
+const asyncHandler = require('../../middleware/asyncHandler');
+const { NotFoundError } = require('../../utils/errors');
+
+//request validation
+const validation = require('../../validation/notifications');
+
+//Load Notification Model
+const Notification = require('../../models/Notification');
+
+//live channel and counts
+const { subscribe, unreadCount } = require('../../utils/notifications');
+
+//session checks for the stream
+const { isSessionActive } = require('../../utils/tokens');
+
+//paging helper
+const { pageParams, pagination } = require('../../utils/pagination');
+
+//keeps idle connections from being closed by proxies
+const HEARTBEAT = 25 * 1000;
+
+// @type   GET
+// @route  /api/notifications
+// @desc   route for own notifications newest first, takes unread=true
+//         for unread only along with page and limit
+// @access PRIVATE
+router.get('/',authenticate,validation.listing,asyncHandler(async (req,res)=>{
+    const { page, limit, skip } = pageParams(req.query);
+    const filter = { user: req.user.id };
+    if(req.query.unread === 'true') filter.read = null;
+    const [notifications, total, unread] = await Promise.all([
+        Notification.find(filter)
+            .sort({date: 'desc'})
+            .skip(skip)
+            .limit(limit),
+        Notification.countDocuments(filter),
+        unreadCount(req.user.id)
+    ]);
+    res.json({
+        notifications,
+        unread,
+        pagination: pagination(page, limit, total)
+    });
+}));
+
+// @type   GET
+// @route  /api/notifications/unread
+// @desc   route for the number of unread notifications
+// @access PRIVATE
+router.get('/unread',authenticate,asyncHandler(async (req,res)=>{
+    res.json({ unread: await unreadCount(req.user.id) });
+}));
+
+// @type   GET
+// @route  /api/notifications/stream
+// @desc   route for live notifications as Server-Sent Events, sends the
+//         unread count first and then every new notification. The stream
+//         ends with an `end` event on logout or when the access token
+//         expires, clients reconnect with a fresh token
+// @access PRIVATE
+router.get('/stream',authenticate,asyncHandler(async (req,res)=>{
+    const unread = await unreadCount(req.user.id);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        //stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('unread', { unread });
+
+    const unsubscribe = subscribe(req.user.id, ({ notification, unread }) => {
+        send('notification', { notification, unread });
+    });
+    let ended = false;
+    const end = reason => {
+        if(ended) return;
+        ended = true;
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        unsubscribe();
+        if(reason){
+            send('end', { reason });
+            res.end();
+        }
+    };
+    //the session is checked on every heartbeat, so a logout cuts the
+    //stream off within one interval
+    const heartbeat = setInterval(() => {
+        isSessionActive(req.authInfo.sid)
+            .then(active => {
+                if(!active) return end('session ended');
+                if(!ended) res.write(': keep-alive\n\n');
+            })
+            .catch(() => end('session check failed'));
+    }, HEARTBEAT);
+    const expiry = setTimeout(() => end('token expired'), req.authInfo.exp * 1000 - Date.now());
+
+    req.on('close', () => end());
+}));
+
+// @type   PUT
+// @route  /api/notifications/read
+// @desc   route for marking all own notifications as read
+// @access PRIVATE
+router.put('/read',authenticate,asyncHandler(async (req,res)=>{
+    const update = await Notification.updateMany(
+        { user: req.user.id, read: null },
+        { $set: { read: Date.now() } }
+    );
+    res.json({ success: 'Notifications marked as read', count: update.modifiedCount, unread: 0 });
+}));
+
+// @type   PUT
+// @route  /api/notifications/read/:n_id
+// @desc   route for marking one own notification as read
+// @access PRIVATE
+router.put('/read/:n_id',authenticate,validation.ids,asyncHandler(async (req,res)=>{
+    const notification = await Notification.findOne({ _id: req.params.n_id, user: req.user.id });
+    if(!notification){
+        throw new NotFoundError({notificationnotfound: 'No notification found'});
+    }
+    if(!notification.read){
+        notification.read = Date.now();
+        await notification.save();
+    }
+    res.json({ notification, unread: await unreadCount(req.user.id) });
+}));
+
+module.exports = router;
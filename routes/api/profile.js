@@ -1,7 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const passport = require('passport');
+const bcrypt = require('bcryptjs');
+const authenticate = require('../../middleware/authenticate');
+const asyncHandler = require('../../middleware/asyncHandler');
+const rateLimit = require('../../middleware/rateLimit');
+const upload = require('../../middleware/upload');
+const config = require('../../setup/config');
+const { BadRequestError, NotFoundError, ValidationError } = require('../../utils/errors');
+
+//request validation
+const validation = require('../../validation/profile');
 
 //load Person Model
 const Person = require('../../models/Person');
@@ -9,30 +18,81 @@ const Person = require('../../models/Person');
 //Load Profile Model
 const Profile = require('../../models/Profile');
 
+//Load Reputation Model
+const Reputation = require('../../models/Reputation');
+
+//reputation bookkeeping
+const reputation = require('../../utils/reputation');
+
+//badge awarding
+const badges = require('../../utils/badges');
+
+//Load Question Model
+const Question = require('../../models/Question');
+
+//Load Activity Model
+const Activity = require('../../models/Activity');
+
+//paging helper
+const { pageParams, pagination } = require('../../utils/pagination');
+
+//avatar resizing and storage
+const { saveAvatar, removeAvatar } = require('../../utils/avatars');
+
+//account deletion
+const { deleteAccount } = require('../../utils/accounts');
+
+//multipart avatar field, the real format is checked again when decoding
+const avatarUpload = upload('avatar', {
+    maxBytes: config.uploads.maxAvatarBytes,
+    types: ['image/jpeg', 'image/png', 'image/webp', 'image/gif']
+});
+const limitAvatar = rateLimit({ name: 'avatar', windowMs: 60 * 60 * 1000, user: 10 });
+//password guesses on a stolen session
+const limitDelete = rateLimit({ name: 'deleteaccount', windowMs: 60 * 60 * 1000, user: 5 });
+
+//links accepted in Profile.social
+const SOCIAL_SITES = ['youtube', 'facebook', 'instagram', 'github', 'linkedin', 'personalsite'];
+
+//what an avatar change answers with
+const avatarResponse = person => ({
+    profilepic: person.profilepic,
+    avatar: {
+        small: person.avatar.small,
+        medium: person.avatar.medium,
+        large: person.avatar.large
+    }
+});
+
+//load the profile of the logged in user or fail with 404
+const findOwnProfile = async req => {
+    const profile = await Profile.findOne({ user: req.user.id });
+    if(!profile){
+        throw new NotFoundError({profilenotfound: 'No Profile Found'});
+    }
+    return profile;
+};
+
 // @type   GET
 // @route  /api/profile
 // @desc   route for personal user profile
 // @access PRIVATE
 router.get('/',
-passport.authenticate('jwt', {session:false}),
-(req,res)=>{
-    Profile.findOne({ user: req.user.id })
-        .then(profile => {
-            if(!profile){
-                res.status(404).json({profilenotfound: 'No Profile Found'});
-            }
-            res.render('users',{profile});
-        })
-        .catch(err => console.log("Got some error in profile" + err));
-});
+authenticate,
+asyncHandler(async (req,res)=>{
+    const profile = await findOwnProfile(req);
+    await profile.populate('user', ['name', 'profilepic']);
+    res.render('users',{profile});
+}));
 
 // @type   POST
 // @route  /api/profile
 // @desc   route for updating/saving personal user profile
 // @access PRIVATE
 router.post('/',
-passport.authenticate('jwt', {session:false}),
-(req,res) => {
+authenticate,
+validation.profile,
+asyncHandler(async (req,res) => {
     const profileValues = {};
     profileValues.user = req.user.id;
     if(req.body.username) profileValues.username = req.body.username;
@@ -46,142 +106,479 @@ passport.authenticate('jwt', {session:false}),
 
     //get social links
     profileValues.social = {};
-    
-    if(req.body.youtube) profileValues.social.youtube = req.body.youtube;
-    if(req.body.facebook) profileValues.social.facebook = req.body.facebook;
-    if(req.body.instagram) profileValues.social.instagram = req.body.instagram;
+    SOCIAL_SITES.forEach(site => {
+        if(req.body[site]) profileValues.social[site] = req.body[site];
+    });
 
     //Do databse stuff
-    Profile.findOne({user: req.user.id })
-        .then(profile => {
-            if(profile){
-                Profile.findOneAndUpdate(
-                    { user: req.user.id },
-                    {$set: profileValues},
-                    {new: true}
-                ).then(profile => res.json(profile)).catch(err => console.log('Problem in update' + err));
-            } else {
-                Profile.findOne({username: profileValues.username })
-                    .then(profile => {
-                        //username already exist
-                        if(profile){
-                            res.status(400).json({username: 'username already exist'});
-                        }
-                        //save user
-                        new Profile(profileValues)
-                            .save()
-                            .then(profile=>{
-                                res.json(profile)
-                            })
-                            .catch(err => console.log(err));
-                    })
-                    .catch(err => console.log(err));
-            }
-        })
-        .catch(err => console.log('Problem in fetching profile ' + err));
-}
-);
+    const existing = await Profile.findOne({user: req.user.id });
+    //the username rules apply when one is picked, older ones can stay
+    if(profileValues.username && (!existing || existing.username !== profileValues.username)){
+        const problem = validation.checkNewUsername(profileValues.username);
+        if(problem){
+            throw new ValidationError({username: problem});
+        }
+        if(await Profile.findOne({username: profileValues.username })){
+            throw new BadRequestError({username: 'username already exist'});
+        }
+    }
+    if(existing){
+        const profile = await Profile.findOneAndUpdate(
+            { user: req.user.id },
+            {$set: profileValues},
+            {new: true}
+        );
+        return res.json(profile);
+    }
+
+    //a new profile needs the fields the schema requires
+    const missing = {};
+    if(!profileValues.username) missing.username = 'Username is required';
+    if(!profileValues.languages) missing.languages = 'Languages are required';
+    if(Object.keys(missing).length){
+        throw new BadRequestError(missing);
+    }
+    //save user, with any reputation earned before the profile existed
+    profileValues.reputation = await reputation.totalFor(req.user.id);
+    const profile = await new Profile(profileValues).save();
+    //catch up on badges earned before the profile existed
+    await badges.check(req.user.id);
+    res.json(await Profile.findById(profile.id));
+}));
+
+// @type   GET
+// @route  /api/profile/bookmarks
+// @desc   route for own bookmarked questions, latest bookmark first,
+//         takes page and limit as query params
+// @access PRIVATE
+router.get('/bookmarks', authenticate, validation.paging, asyncHandler(async (req,res)=> {
+    const { page, limit, skip } = pageParams(req.query);
+    const saved = req.user.bookmarks.slice().reverse();
+    const shown = saved.slice(skip, skip + limit);
+    const found = await Question.find({ _id: { $in: shown.map(bookmark => bookmark.question) }, deleted: null })
+        .select('textone user name tags score answercount resolved closed date');
+    const byId = {};
+    found.forEach(question => byId[question.id] = question);
+    res.json({
+        bookmarks: shown
+            //questions removed since they were bookmarked are left out
+            .filter(bookmark => byId[bookmark.question.toString()])
+            .map(bookmark => ({
+                question: byId[bookmark.question.toString()],
+                date: bookmark.date
+            })),
+        pagination: pagination(page, limit, saved.length)
+    });
+}));
+
+// @type   GET
+// @route  /api/profile/feed
+// @desc   route for new answers and upvotes on followed questions, newest
+//         first. Entries since the previous visit are marked unseen, the
+//         first page counts as a visit. Takes page and limit as query params
+// @access PRIVATE
+router.get('/feed', authenticate, validation.paging, asyncHandler(async (req,res)=> {
+    const { page, limit, skip } = pageParams(req.query);
+    const person = req.user;
+    let seen = person.previousfeedvisit;
+    if(page === 1){
+        seen = person.lastfeedvisit;
+        await Person.updateOne({ _id: person._id }, {
+            $set: { previousfeedvisit: seen, lastfeedvisit: Date.now() }
+        });
+    }
+
+    const followed = await Question.find({
+        _id: { $in: person.following.map(item => item.question) },
+        deleted: null
+    }).select('_id removedanswers._id');
+    //answers removed by moderators keep their activity for a restore
+    const removedAnswers = [];
+    followed.forEach(question => question.removedanswers.forEach(answer => removedAnswers.push(answer._id)));
+    const filter = {
+        question: { $in: followed.map(question => question._id) },
+        answer: { $nin: removedAnswers },
+        type: { $in: ['answer', 'upvote'] },
+        //own answers and votes are no news
+        actor: { $ne: person._id }
+    };
+    const [entries, total, unseen] = await Promise.all([
+        Activity.find(filter)
+            .sort({date: 'desc'})
+            .skip(skip)
+            .limit(limit)
+            .populate('actor', ['name', 'profilepic'])
+            .populate('question', ['textone']),
+        Activity.countDocuments(filter),
+        Activity.countDocuments(seen ? Object.assign({ date: { $gt: seen } }, filter) : filter)
+    ]);
+    res.json({
+        feed: entries.map(entry => Object.assign(entry.toJSON(), {
+            unseen: !seen || entry.date > seen
+        })),
+        unseen,
+        lastvisit: seen || null,
+        pagination: pagination(page, limit, total)
+    });
+}));
+
+// @type   GET
+// @route  /api/profile/timeline
+// @desc   route for questions, answers and votes of the users one follows,
+//         newest first, takes page and limit as query params
+// @access PRIVATE
+router.get('/timeline', authenticate, validation.paging, asyncHandler(async (req,res)=> {
+    const { page, limit, skip } = pageParams(req.query);
+    const profile = await findOwnProfile(req);
+    //nothing from questions or answers removed by moderators. There are few
+    //of them, so leaving them out by id keeps the query on the actor/date
+    //index instead of joining every activity with its question
+    const [removed, removedAnswers] = await Promise.all([
+        Question.find({ deleted: { $ne: null } }).distinct('_id'),
+        Question.distinct('removedanswers._id')
+    ]);
+    const filter = {
+        actor: { $in: profile.follows.map(follow => follow.user) },
+        question: { $nin: removed },
+        answer: { $nin: removedAnswers }
+    };
+    const [entries, total] = await Promise.all([
+        Activity.find(filter)
+            .sort({date: 'desc'})
+            .skip(skip)
+            .limit(limit)
+            .select('actor type question answer date')
+            .populate('question', ['textone', 'tags'])
+            .lean(),
+        Activity.countDocuments(filter)
+    ]);
+    //usernames and reputation for the page only
+    const profiles = await Profile.find({ user: { $in: entries.map(entry => entry.actor) } })
+        .select('user username reputation');
+    const byUser = {};
+    profiles.forEach(item => byUser[item.user.toString()] = item);
+    res.json({
+        timeline: entries.map(entry => {
+            const actor = byUser[entry.actor.toString()] || {};
+            return Object.assign(entry, {
+                profile: { username: actor.username, reputation: actor.reputation }
+            });
+        }),
+        pagination: pagination(page, limit, total)
+    });
+}));
+
+// @type   POST
+// @route  /api/profile/avatar
+// @desc   route for uploading an avatar as multipart field `avatar`, JPEG,
+//         PNG, WebP or GIF. It is cropped to square thumbnails and becomes
+//         the profilepic
+// @access PRIVATE
+router.post('/avatar', authenticate, limitAvatar, avatarUpload, asyncHandler(async (req,res)=> {
+    const avatar = await saveAvatar(req.user.id, req.file.buffer);
+    if(!avatar){
+        throw new BadRequestError({avatar: 'File is not a valid JPEG, PNG, WebP or GIF image'});
+    }
+    const person = req.user;
+    const previous = person.avatar && person.avatar.key;
+    person.avatar = avatar;
+    person.profilepic = avatar.medium;
+    await person.save();
+    if(previous){
+        await removeAvatar(previous);
+    }
+    res.json(avatarResponse(person));
+}));
+
+// @type   DELETE
+// @route  /api/profile/avatar
+// @desc   route for removing the uploaded avatar, back to the default picture
+// @access PRIVATE
+router.delete('/avatar', authenticate, asyncHandler(async (req,res)=> {
+    const person = req.user;
+    const previous = person.avatar && person.avatar.key;
+    if(!previous){
+        throw new BadRequestError({noavatar: 'No avatar uploaded'});
+    }
+    person.avatar = undefined;
+    person.profilepic = Person.schema.path('profilepic').defaultValue;
+    await person.save();
+    await removeAvatar(previous);
+    res.json(avatarResponse(person));
+}));
+
+//load a profile by the :username param or fail with 404
+const findProfileByUsername = async req => {
+    const profile = await Profile.findOne({username: req.params.username});
+    if(!profile){
+        throw new NotFoundError({usernotfound: 'user not found'});
+    }
+    return profile;
+};
+
+//public summary of the users in a follows or followers list
+const listUsers = async entries => {
+    const profiles = await Profile.find({ user: { $in: entries.map(entry => entry.user) } })
+        .select('user username reputation');
+    const byUser = {};
+    profiles.forEach(profile => byUser[profile.user.toString()] = profile);
+    return entries
+        .filter(entry => byUser[entry.user.toString()])
+        .map(entry => ({
+            user: entry.user,
+            username: byUser[entry.user.toString()].username,
+            reputation: byUser[entry.user.toString()].reputation,
+            date: entry.date
+        }));
+};
+
+// @type   POST
+// @route  /api/profile/follow/:username
+// @desc   route for following a user, needs an own profile
+// @access PRIVATE
+router.post('/follow/:username', authenticate, validation.username, asyncHandler(async (req,res)=> {
+    const [profile, target] = await Promise.all([findOwnProfile(req), findProfileByUsername(req)]);
+    if(target.user.toString() === req.user.id.toString()){
+        throw new BadRequestError({follow: 'You can not follow yourself'});
+    }
+    const update = await Profile.updateOne(
+        { _id: profile._id, 'follows.user': { $ne: target.user } },
+        { $push: { follows: { user: target.user } } }
+    );
+    if(!update.modifiedCount){
+        throw new BadRequestError({following: 'You already follow this user'});
+    }
+    await Profile.updateOne(
+        { _id: target._id, 'followers.user': { $ne: req.user._id } },
+        { $push: { followers: { user: req.user._id } } }
+    );
+    res.json({success: `You now follow ${target.username}`});
+}));
+
+// @type   DELETE
+// @route  /api/profile/follow/:username
+// @desc   route for unfollowing a user
+// @access PRIVATE
+router.delete('/follow/:username', authenticate, validation.username, asyncHandler(async (req,res)=> {
+    const [profile, target] = await Promise.all([findOwnProfile(req), findProfileByUsername(req)]);
+    const update = await Profile.updateOne(
+        { _id: profile._id },
+        { $pull: { follows: { user: target.user } } }
+    );
+    if(!update.modifiedCount){
+        throw new BadRequestError({notfollowing: 'You do not follow this user'});
+    }
+    await Profile.updateOne(
+        { _id: target._id },
+        { $pull: { followers: { user: req.user._id } } }
+    );
+    res.json({success: `You no longer follow ${target.username}`});
+}));
+
+// @type   GET
+// @route  /api/profile/:username/followers
+// @desc   route for the users following a user
+// @access PUBLIC
+router.get('/:username/followers', validation.username, asyncHandler(async (req,res)=> {
+    const profile = await findProfileByUsername(req);
+    res.json(await listUsers(profile.followers));
+}));
+
+// @type   GET
+// @route  /api/profile/:username/following
+// @desc   route for the users a user follows
+// @access PUBLIC
+router.get('/:username/following', validation.username, asyncHandler(async (req,res)=> {
+    const profile = await findProfileByUsername(req);
+    res.json(await listUsers(profile.follows));
+}));
 
 // @type   GET
 // @route  /api/profile/:username
 // @desc   route for getting user profile based on username
 // @access PUBLIC
-router.get('/:username', (req,res)=> {
-    Profile.findOne({username: req.params.username})
-        .populate('user',['name','profilepic'])
-        .then(profile=>{
-            if(!profile){
-                res.status(404).json({usernotfound: 'user not found'});
-            }
-            res.json(profile);
-        })
-        .catch(err => console.log('Error in fetching username ' + err));
-});
+router.get('/:username', validation.username, asyncHandler(async (req,res)=> {
+    const profile = await Profile.findOne({username: req.params.username})
+        .populate('user',['name','profilepic']);
+    if(!profile){
+        throw new NotFoundError({usernotfound: 'user not found'});
+    }
+    res.json(profile);
+}));
 
 
 
+// @type   GET
+// @route  /api/profile/find/leaderboard
+// @desc   route for top users by reputation, takes limit as query param
+// @access PUBLIC
+router.get('/find/leaderboard', validation.leaderboard, asyncHandler(async (req,res)=> {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+    const profiles = await Profile.find()
+        .sort({reputation: -1, date: 1})
+        .limit(limit)
+        .select('user username reputation')
+        .populate('user',['name','profilepic']);
+    res.json(profiles);
+}));
+
+// @type   GET
+// @route  /api/profile/:username/reputation
+// @desc   route for reputation history of a user, newest first
+// @access PUBLIC
+router.get('/:username/reputation', validation.username, asyncHandler(async (req,res)=> {
+    const profile = await findProfileByUsername(req);
+    const history = await Reputation.find({user: profile.user})
+        .sort({date: 'desc'});
+    res.json({
+        reputation: profile.reputation,
+        history
+    });
+}));
+
+// @type   GET
+// @route  /api/profile/:username/badges
+// @desc   route for badges earned by a user
+// @access PUBLIC
+router.get('/:username/badges', validation.username, asyncHandler(async (req,res)=> {
+    const profile = await findProfileByUsername(req);
+    res.json(profile.badges.map(badge => {
+        const info = badges.BADGES.find(item => item.key === badge.key);
+        return {
+            key: badge.key,
+            name: badge.name,
+            description: info ? info.description : '',
+            date: badge.date
+        };
+    }));
+}));
+
 // @type   GET
 // @route  /api/profile/find/everyone
 // @desc   route for getting user profile of everyone
 // @access PUBLIC
-router.get('/find/everyone', (req,res)=> {
-    Profile.find()
-        .populate('user',['name','profilepic'])
-        .then(profiles=>{
-            if(!profiles){
-                res.status(404).json({usernotfound: 'No Profile Found'});
-            }
-            res.json(profiles);
-        })
-        .catch(err => console.log('Error in fetching username ' + err));
-});
+router.get('/find/everyone', asyncHandler(async (req,res)=> {
+    const profiles = await Profile.find()
+        .populate('user',['name','profilepic']);
+    res.json(profiles);
+}));
 
 
 // @type   DELETE
 // @route  /api/profile/
-// @desc   route for deleting user based on ID
-// @access PRIVATE
-
-router.delete('/', passport.authenticate('jwt', {session: false}), (req,res)=>{
-    Profile.findOne({user: req.user.id});//to give them are you sure msg.
-    Profile.findOneAndRemove({user: req.user.id})
-        .then( ()=> {
-            Person.findOneAndRemove({_id: req.user.id })
-                .then(()=> res.json({success: 'deleted successfully'}))
-                .catch(err => console.log(err));
-        })
-        .catch(err => console.log(err));
-        
+// @desc   route for deleting your account, confirmed with your password.
+//         Questions, answers and comments stay as the deleted user's, votes
+//         and everything else of the account are removed
+// @access PRIVATE
+
+router.delete('/', authenticate, limitDelete, validation.deleteAccount, asyncHandler(async (req,res)=>{
+    const isCorrect = await bcrypt.compare(req.body.password, req.user.password);
+    if(!isCorrect){
+        throw new BadRequestError({passworderror: 'Password is not correct'});
+    }
+    await deleteAccount(req.user);
+    res.json({success: 'deleted successfully'});
+}));
+
+
+//the entry lists of a profile, the fields each entry takes from the body
+//and the param naming an entry. Both lists stay sorted by `from`, see models/Profile
+const SECTIONS = {
+    workrole: {
+        param: 'w_id',
+        fields: ['role', 'company', 'country', 'from', 'to', 'current', 'details'],
+        notfound: {workrolenotfound: 'No work role found'}
+    },
+    education: {
+        param: 'e_id',
+        fields: ['school', 'degree', 'fieldofstudy', 'from', 'to', 'current', 'details'],
+        notfound: {educationnotfound: 'No education found'}
+    }
+};
+
+//copy the given body fields onto entry and make sure its dates form a
+//range that already started. A current entry has no end date
+const applyEntry = (entry, fields, body) => {
+    fields.forEach(field => {
+        if(body[field] !== undefined) entry[field] = body[field];
+    });
+    //forms send the flag as a string
+    if(body.current !== undefined) entry.current = String(body.current) === 'true';
+    if(entry.current) entry.to = undefined;
+    const errors = {};
+    if(entry.from && new Date(entry.from) > Date.now()){
+        errors.from = 'Start date can not be in the future';
+    }
+    if(entry.from && entry.to && new Date(entry.to) < new Date(entry.from)){
+        errors.to = 'End date can not be before the start date';
+    }
+    if(Object.keys(errors).length){
+        throw new ValidationError(errors);
+    }
+    return entry;
+};
+
+//pick the entry of the section's id param or fail with 404
+const findEntry = (profile, section, req) => {
+    const entry = profile[section].id(req.params[SECTIONS[section].param]);
+    if(!entry){
+        throw new NotFoundError(SECTIONS[section].notfound);
+    }
+    return entry;
+};
+
+const addEntry = section => asyncHandler(async (req,res)=> {
+    const profile = await findOwnProfile(req);
+    profile[section].push(applyEntry({}, SECTIONS[section].fields, req.body));
+    res.json(await profile.save());
 });
 
+const editEntry = section => asyncHandler(async (req,res)=> {
+    const profile = await findOwnProfile(req);
+    applyEntry(findEntry(profile, section, req), SECTIONS[section].fields, req.body);
+    res.json(await profile.save());
+});
+
+const deleteEntry = section => asyncHandler(async (req,res)=> {
+    const profile = await findOwnProfile(req);
+    findEntry(profile, section, req).remove();
+    res.json(await profile.save());
+});
 
 // @type   POST
 // @route  /api/profile/workrole
 // @desc   route for adding work profile of a person
 // @access PRIVATE
-router.post('/workrole', passport.authenticate('jwt',{session: false}), (req,res)=> {
-    Profile.findOne({user: req.user.id})
-        .then(profile => {
-            if(!profile){
-                res.status(404).json({usernotfound: 'No Profile Found'});
-            }
-            const newWork = {
-                role: req.body.role,
-                country: req.body.country,
-                from: req.body.from,
-                to: req.body.to,
-                current: req.body.current,
-                details: req.body.details
-            };
-            profile.workrole.unshift(newWork);
-            profile.save()
-                .then(profile => res.json(profile))
-                .catch(err => console.log(err));
-        })
-        .catch(err => console.log(err));
-});
+router.post('/workrole', authenticate, validation.workrole, addEntry('workrole'));
+
+// @type   PUT
+// @route  /api/profile/workrole/:w_id
+// @desc   route for editing a workrole, only the given fields change
+// @access PRIVATE
+router.put('/workrole/:w_id', authenticate, validation.editWorkrole, editEntry('workrole'));
 
 // @type   DELETE
 // @route  /api/profile/workrole/:w_id
 // @desc   route for deleting specific workrole
 // @access PRIVATE
-router.delete('/workrole/:w_id',passport.authenticate('jwt',{session: false}),(req,res)=>{
-    Profile.findOne({user: req.user.id})
-        .then(profile=>{
-            if(!profile){
-                res.status(404).json({usernotfound: 'No Profile Found'});
-            }
-            const removethis = profile.workrole
-                .map(item => item.id)
-                .indexOf(req.params.w_id);
-
-            profile.workrole.splice(removethis,1);
-            profile.save()
-                .then(profile => res.json(profile))
-                .catch(err=>console.log(err));
-        })
-        .catch(err=>console.log(err));
-}
-);
+router.delete('/workrole/:w_id', authenticate, validation.workroleId, deleteEntry('workrole'));
+
+// @type   POST
+// @route  /api/profile/education
+// @desc   route for adding a school or course to the profile
+// @access PRIVATE
+router.post('/education', authenticate, validation.education, addEntry('education'));
+
+// @type   PUT
+// @route  /api/profile/education/:e_id
+// @desc   route for editing an education entry, only the given fields change
+// @access PRIVATE
+router.put('/education/:e_id', authenticate, validation.editEducation, editEntry('education'));
+
+// @type   DELETE
+// @route  /api/profile/education/:e_id
+// @desc   route for deleting an education entry
+// @access PRIVATE
+router.delete('/education/:e_id', authenticate, validation.educationId, deleteEntry('education'));
 
 module.exports = router;
\ No newline at end of file
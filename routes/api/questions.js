@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const passport = require('passport');
+const authenticate = require('../../middleware/authenticate');
+const asyncHandler = require('../../middleware/asyncHandler');
+const rateLimit = require('../../middleware/rateLimit');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../../utils/errors');
+
+//request validation
+const validation = require('../../validation/questions');
 
 
 //load Person Model
@@ -13,91 +19,636 @@ const Profile = require('../../models/Profile');
 //Load Question Model
 const Question = require('../../models/Question');
 
+//Load Flag Model
+const Flag = require('../../models/Flag');
+
+//only verified accounts can ask
+const requireVerified = require('../../middleware/requireVerified');
+
+//voting helpers
+const { currentVote, castVote, retractVote, saveVote, stampFirstUpvote } = require('../../utils/votes');
+
+//reloads when a vote raced with another one on the same post
+const VOTE_ATTEMPTS = 3;
+
+//reputation bookkeeping
+const reputation = require('../../utils/reputation');
+
+//badge awarding
+const badges = require('../../utils/badges');
+
+//tag helpers
+const { normalizeTags } = require('../../utils/tags');
+
+//search helper
+const { searchQuestions } = require('../../utils/search');
+
+//mention helper for comments
+const { resolveMentions } = require('../../utils/mentions');
+
+//view counting
+const { recordView } = require('../../utils/views');
+
+//notifications for authors and mentioned users
+const { notify } = require('../../utils/notifications');
+
+//activity of followed questions
+const activity = require('../../utils/activity');
+
+//throttles for everything that posts, per user and per client address
+const MINUTE = 60 * 1000;
+const limitQuestions = rateLimit({ name: 'question', windowMs: 60 * MINUTE, user: 5, ip: 20 });
+const limitAnswers = rateLimit({ name: 'answer', windowMs: 10 * MINUTE, user: 10, ip: 30 });
+const limitVotes = rateLimit({ name: 'vote', windowMs: 10 * MINUTE, user: 60, ip: 120 });
+const limitComments = rateLimit({ name: 'comment', windowMs: 10 * MINUTE, user: 20, ip: 60 });
+
+//put a question on the 'bookmarks' or 'following' list of a user,
+//modifies nothing when it is there already
+const addToList = (list, userId, question) => {
+    return Person.updateOne(
+        { _id: userId, [`${list}.question`]: { $ne: question._id } },
+        { $push: { [list]: { question: question._id } } }
+    );
+};
+
+//refuse a question whose title and body match a live one, except itself when editing
+const checkDuplicate = async (textone, texttwo, ownId) => {
+    const filter = { contenthash: Question.contentHash(textone, texttwo), deleted: null };
+    if(ownId) filter._id = { $ne: ownId };
+    const duplicate = await Question.findOne(filter).select('_id');
+    if(duplicate){
+        throw new ConflictError({
+            duplicate: 'This question has already been asked',
+            questionid: duplicate.id
+        });
+    }
+};
+
+//load the question of the :id param or fail with 404,
+//questions removed by moderators count as missing
+const findQuestion = async req => {
+    const question = await Question.findOne({ _id: req.params.id, deleted: null });
+    if(!question){
+        throw new NotFoundError({questionnotfound: 'No question found'});
+    }
+    return question;
+};
+
+//pick the answer of the :a_id param from a question or fail with 404
+const findAnswer = (question, req) => {
+    const answer = question.answers.id(req.params.a_id);
+    if(!answer){
+        throw new NotFoundError({answernotfound: 'No answer found'});
+    }
+    return answer;
+};
+
+//fail with 403 when moderators locked the question, and
+//also when they closed it if `closedToo` is set
+const checkOpen = (question, closedToo) => {
+    if(question.locked){
+        throw new ForbiddenError({locked: 'Question is locked'});
+    }
+    if(closedToo && question.closed){
+        throw new ForbiddenError({closed: 'Question is closed'});
+    }
+};
+
+//fail with 403 unless the logged in user wrote doc
+const checkOwner = (doc, req, message) => {
+    if(!doc.user || doc.user.toString() !== req.user.id.toString()){
+        throw new ForbiddenError({notowner: message});
+    }
+};
+
 
 // @type   GET
 // @route  /api/questions
-// @desc   route for showing all questions
+// @desc   route for showing questions page by page, takes page, limit and
+//         sort (newest, upvoted, answered, unanswered, active, hot) as query params
 // @access PUBLIC
-router.get('/', (req,res) => {
-    Question.find()
-        .sort({date: 'desc'})
-        .then(questions => {
-            res.json(questions);
-        })
-        .catch(err=>res.json({noquestions: 'No Questions to Display'}));
-    
-});
+router.get('/', validation.listing, asyncHandler(async (req,res) => {
+    res.json(await searchQuestions(req.query));
+}));
+
+
+
+// @type   GET
+// @route  /api/questions/search
+// @desc   route for searching questions and answers, takes q, author, tags,
+//         from, to, answered and minupvotes along with the paging params
+// @access PUBLIC
+router.get('/search', validation.listing, asyncHandler(async (req,res) => {
+    res.json(await searchQuestions(req.query));
+}));
+
+// @type   GET
+// @route  /api/questions/tags
+// @desc   route for listing all tags with number of questions using them
+// @access PUBLIC
+router.get('/tags', asyncHandler(async (req,res) => {
+    const tags = await Question.aggregate([
+        { $match: { deleted: null } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
+    res.json(tags);
+}));
+
+// @type   GET
+// @route  /api/questions/tagged/:tag
+// @desc   route for showing all questions with a tag
+// @access PUBLIC
+router.get('/tagged/:tag', validation.tagged, asyncHandler(async (req,res) => {
+    res.json(await searchQuestions(Object.assign({}, req.query, { tags: [req.params.tag] })));
+}));
 
+// @type   GET
+// @route  /api/questions/foryou
+// @desc   route for questions tagged with the languages of user profile
+// @access PRIVATE
+router.get('/foryou', authenticate, validation.listing, asyncHandler(async (req,res) => {
+    const profile = await Profile.findOne({ user: req.user.id });
+    if(!profile){
+        throw new NotFoundError({profilenotfound: 'No Profile Found'});
+    }
+    res.json(await searchQuestions(Object.assign({}, req.query, { tags: profile.languages })));
+}));
 
+// @type   GET
+// @route  /api/questions/:id
+// @desc   route for a single question, counts a view once a day per viewer
+// @access PUBLIC
+router.get('/:id', validation.ids, asyncHandler(async (req,res) => {
+    const question = await findQuestion(req);
+    await recordView(question, req);
+    res.json(question);
+}));
 
 // @type   POST
 // @route  /api/questions
-// @desc   route for submittng questions
+// @desc   route for submittng questions, needs a verified email
 // @access PRIVATE
-router.post('/',passport.authenticate('jwt',{session:false}),(req,res)=>{
+router.post('/',authenticate,limitQuestions,validation.question,requireVerified,asyncHandler(async (req,res)=>{
+    await checkDuplicate(req.body.textone, req.body.texttwo);
     const newQuestion = new Question({
         textone: req.body.textone,
         texttwo: req.body.texttwo,
         user: req.user.id,
-        name: req.body.name
+        name: req.body.name,
+        tags: normalizeTags(req.body.tags)
     });
-    newQuestion.save()
-        .then( question => {
-            res.json(question);
-        })
-        .catch(err=>console.log("Unable to push question to database " + err));
-});
+    const question = await newQuestion.save();
+    await badges.check(req.user.id);
+    //askers follow their own question
+    await addToList('following', req.user.id, question);
+    await activity.record({ actor: req.user.id, type: 'question', question });
+    res.json(question);
+}));
 
 
 // @type   POST
 // @route  /api/questions/answers/:id
 // @desc   route for submittng answers to questions
 // @access PRIVATE
-router.post('/answers/:id',passport.authenticate('jwt',{session:false}),(req,res)=>{
-    Question.findById(req.params.id)
-        .then(question => {
-            const newAnswer = {
-                user: req.user.id,
-                name: req.body.name,
-                text:req.body.text
-            };
-            question.answers.unshift(newAnswer);
-
-            question.save()
-                .then(question => res.json(question))
-                .catch(err=>console.log(err));
-        })
-        .catch(err=>console.log(err));
+router.post('/answers/:id',authenticate,limitAnswers,validation.answer,asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    checkOpen(question, true);
+    const newAnswer = {
+        user: req.user.id,
+        name: req.body.name,
+        text:req.body.text
+    };
+    question.answers.unshift(newAnswer);
+    const answer = question.answers[0];
+
+    await question.save();
+    await badges.check(req.user.id);
+    await notify({
+        user: question.user,
+        type: 'answer',
+        actor: req.user.id,
+        actorname: req.user.name,
+        question: question._id,
+        answer: answer._id,
+        text: `${req.user.name} answered your question "${question.textone}"`
+    });
+    //answering follows the question too
+    await addToList('following', req.user.id, question);
+    await activity.record({ actor: req.user.id, type: 'answer', question, answer });
+    res.json(question);
+}));
+
+//shared handler for voting, direction is 'up', 'down' or null to retract.
+//votes go on the question unless the route carries an answer id
+const vote = direction => asyncHandler(async (req,res)=>{
+    let question, answer, target, previous;
+    for(let attempt = 1; ; attempt++){
+        question = await findQuestion(req);
+        checkOpen(question);
+        answer = req.params.a_id ? findAnswer(question, req) : null;
+        target = answer || question;
+
+        previous = currentVote(target, req.user.id);
+        if(direction === null && !previous){
+            throw new BadRequestError({novote: 'User has not voted'});
+        }
+        if(direction !== null && previous === direction){
+            throw new BadRequestError(direction === 'up'
+                ? {noupvote: 'User already upvoted'}
+                : {nodownvote: 'User already downvoted'});
+        }
+        //stored as one update instead of saving the loaded question back
+        if(await saveVote({ question, answer, userId: req.user.id, previous, direction })){
+            break;
+        }
+        if(attempt === VOTE_ATTEMPTS){
+            throw new ConflictError({vote: 'The post changed while voting, please try again'});
+        }
+    }
+    //the loaded copy follows along for the response
+    if(direction === null){
+        retractVote(target, req.user.id);
+    } else {
+        castVote(target, req.user.id, direction);
+    }
+    //downvotes, retractions and upvoting again after a retraction would
+    //let anyone bump a question to the top
+    if(direction === 'up'){
+        const now = new Date();
+        if(await stampFirstUpvote({ question, answer, userId: req.user.id, now })){
+            question.lastactivity = now;
+        }
+    }
+    await reputation.forVote({ question, answer, voter: req.user.id, previous, direction });
+    await badges.check(req.user.id, target.user);
+    //the activity stream keeps only the vote that stands
+    if(previous){
+        await activity.undo({ actor: req.user.id, type: `${previous}vote`, question, answer });
+    }
+    if(direction){
+        await activity.record({ actor: req.user.id, type: `${direction}vote`, question, answer });
+    }
+    if(direction === 'up'){
+        await notify({
+            user: target.user,
+            type: 'upvote',
+            actor: req.user.id,
+            actorname: req.user.name,
+            question: question._id,
+            answer: answer ? answer._id : undefined,
+            text: answer
+                ? `Your answer to "${question.textone}" was upvoted`
+                : `Your question "${question.textone}" was upvoted`
+        });
+    }
+    res.json(question);
 });
 
 // @type   POST
 // @route  /api/questions/upvote/:id
-// @desc   route for upvoting question
-// @access PRIVATE
-router.post('/upvote/:id',passport.authenticate('jwt',{session:false}),(req,res)=>{
-    Profile.findOne({user: req.user.id})
-        .then(profile=>{
-            Question.findById(req.params.id)
-                .then(question=>{
-                    if(question.upvotes.filter(upvote => upvote.user.toString() === 
-                    req.user.id.toString()).length > 0) {
-                        return res.status(400).json({noupvote: 'User already upvoted'});
-                    }
-                    question.upvotes.unshift({ user: req.user.id })
-                    question.save()
-                        .then(question=>res.json(question))
-                        .catch(err=>console.log(err));
-                })
-                .catch(err=>console.log(err));
-        })
-        .catch(err=>console.log(err));
-})
+// @desc   route for upvoting question, replaces an existing downvote
+// @access PRIVATE
+router.post('/upvote/:id',authenticate,limitVotes,validation.ids,vote('up'));
+
+// @type   POST
+// @route  /api/questions/downvote/:id
+// @desc   route for downvoting question, replaces an existing upvote
+// @access PRIVATE
+router.post('/downvote/:id',authenticate,limitVotes,validation.ids,vote('down'));
+
+// @type   DELETE
+// @route  /api/questions/vote/:id
+// @desc   route for taking back a vote on question
+// @access PRIVATE
+router.delete('/vote/:id',authenticate,limitVotes,validation.ids,vote(null));
+
+// @type   POST
+// @route  /api/questions/answers/upvote/:id/:a_id
+// @desc   route for upvoting an answer of a question
+// @access PRIVATE
+router.post('/answers/upvote/:id/:a_id',authenticate,limitVotes,validation.ids,vote('up'));
+
+// @type   POST
+// @route  /api/questions/answers/downvote/:id/:a_id
+// @desc   route for downvoting an answer of a question
+// @access PRIVATE
+router.post('/answers/downvote/:id/:a_id',authenticate,limitVotes,validation.ids,vote('down'));
+
+// @type   DELETE
+// @route  /api/questions/answers/vote/:id/:a_id
+// @desc   route for taking back a vote on an answer
+// @access PRIVATE
+router.delete('/answers/vote/:id/:a_id',authenticate,limitVotes,validation.ids,vote(null));
+
+//shared handler for accepting (accept = true) or un-accepting an answer,
+//only the owner of the question is allowed to do this
+const acceptAnswer = accept => asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    checkOwner(question, req, 'Only the author of the question can accept an answer');
+    checkOpen(question);
+    const answer = findAnswer(question, req);
+
+    const previous = question.answers.find(item => item.accepted);
+    if(accept){
+        //only one answer can be the solution
+        question.answers.forEach(item => item.accepted = false);
+    } else if(!answer.accepted){
+        throw new BadRequestError({notaccepted: 'Answer is not accepted'});
+    }
+    answer.accepted = accept;
+
+    //who gains or loses the accepted answer bonus
+    const changes = [];
+    if(previous && previous !== answer){
+        changes.push({ answer: previous, accepted: false });
+    }
+    if(previous !== answer || !accept){
+        changes.push({ answer, accepted: accept });
+    }
+    await question.save();
+    await Promise.all(changes.map(change =>
+        reputation.forAccept(Object.assign({ question, actor: req.user.id }, change))
+    ));
+    await badges.check(...changes.map(change => change.answer.user));
+    if(accept && previous !== answer){
+        await notify({
+            user: answer.user,
+            type: 'accepted',
+            actor: req.user.id,
+            actorname: req.user.name,
+            question: question._id,
+            answer: answer._id,
+            text: `Your answer to "${question.textone}" was accepted`
+        });
+    }
+    res.json(question);
+});
+
+// @type   POST
+// @route  /api/questions/accept/:id/:a_id
+// @desc   route for accepting an answer as the solution of question
+// @access PRIVATE
+router.post('/accept/:id/:a_id',authenticate,validation.ids,acceptAnswer(true));
+
+// @type   DELETE
+// @route  /api/questions/accept/:id/:a_id
+// @desc   route for un-accepting a previously accepted answer
+// @access PRIVATE
+router.delete('/accept/:id/:a_id',authenticate,validation.ids,acceptAnswer(false));
+
+// @type   PUT
+// @route  /api/questions/:id
+// @desc   route for editing own question
+// @access PRIVATE
+router.put('/:id',authenticate,validation.editQuestion,asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    checkOwner(question, req, 'You are not the author of this question');
+    checkOpen(question);
+    if(req.body.textone) question.textone = req.body.textone;
+    if(req.body.texttwo) question.texttwo = req.body.texttwo;
+    if(question.isModified('textone') || question.isModified('texttwo')){
+        await checkDuplicate(question.textone, question.texttwo, question._id);
+    }
+    if(req.body.tags != undefined) question.tags = normalizeTags(req.body.tags);
+    res.json(await question.save());
+}));
+
+// @type   DELETE
+// @route  /api/questions/:id
+// @desc   route for deleting own question along with its answers and votes
+// @access PRIVATE
+router.delete('/:id',authenticate,validation.ids,asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    checkOwner(question, req, 'You are not the author of this question');
+    checkOpen(question);
+    //answers and votes are embedded, so they go away with the question
+    await question.remove();
+    await reputation.revokeForPost({ question, actor: req.user.id });
+    await activity.forget({ question });
+    res.json({success: 'Question deleted successfully'});
+}));
+
+// @type   PUT
+// @route  /api/questions/answers/:id/:a_id
+// @desc   route for editing own answer
+// @access PRIVATE
+router.put('/answers/:id/:a_id',authenticate,validation.editAnswer,asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    checkOpen(question);
+    const answer = findAnswer(question, req);
+    checkOwner(answer, req, 'You are not the author of this answer');
+    if(req.body.text) answer.text = req.body.text;
+    res.json(await question.save());
+}));
+
+// @type   DELETE
+// @route  /api/questions/answers/:id/:a_id
+// @desc   route for deleting own answer along with its votes
+// @access PRIVATE
+router.delete('/answers/:id/:a_id',authenticate,validation.ids,asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    checkOpen(question);
+    const answer = findAnswer(question, req);
+    checkOwner(answer, req, 'You are not the author of this answer');
+    //removing an accepted answer un-resolves the question on save
+    answer.remove();
+    await question.save();
+    await reputation.revokeForPost({ question, answer, actor: req.user.id });
+    await activity.forget({ question, answer });
+    res.json(question);
+}));
+
+//the post a comment belongs to, the question itself or
+//the answer when the route has :a_id
+const findCommentPost = (question, req) => {
+    return req.params.a_id ? findAnswer(question, req) : question;
+};
+
+//pick the comment of the :c_id param from a post, it has to be the user's own
+const findOwnComment = (post, req) => {
+    const comment = post.comments.id(req.params.c_id);
+    if(!comment){
+        throw new NotFoundError({commentnotfound: 'No comment found'});
+    }
+    checkOwner(comment, req, 'You are not the author of this comment');
+    return comment;
+};
+
+const addComment = asyncHandler(async (req,res)=>{
+    const text = req.body.text.trim();
+    const question = await findQuestion(req);
+    checkOpen(question);
+    const post = findCommentPost(question, req);
+    const mentions = await resolveMentions(text);
+    post.comments.push({
+        user: req.user.id,
+        name: req.body.name || req.user.name,
+        text,
+        mentions
+    });
+    await question.save();
+    await notify(...mentions.map(mention => ({
+        user: mention.user,
+        type: 'mention',
+        actor: req.user.id,
+        actorname: req.user.name,
+        question: question._id,
+        answer: req.params.a_id ? post._id : undefined,
+        text: `${req.user.name} mentioned you on "${question.textone}"`
+    })));
+    res.json(question);
+});
+
+const editComment = asyncHandler(async (req,res)=>{
+    const text = req.body.text.trim();
+    const question = await findQuestion(req);
+    checkOpen(question);
+    const comment = findOwnComment(findCommentPost(question, req), req);
+    comment.text = text;
+    comment.mentions = await resolveMentions(text);
+    comment.edited = Date.now();
+    res.json(await question.save());
+});
+
+const deleteComment = asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    checkOpen(question);
+    const comment = findOwnComment(findCommentPost(question, req), req);
+    comment.remove();
+    res.json(await question.save());
+});
+
+// @type   POST
+// @route  /api/questions/comments/:id
+// @desc   route for commenting on a question, @username mentions are resolved
+// @access PRIVATE
+router.post('/comments/:id',authenticate,limitComments,validation.comment,addComment);
+
+// @type   PUT
+// @route  /api/questions/comments/:id/:c_id
+// @desc   route for editing own comment on a question
+// @access PRIVATE
+router.put('/comments/:id/:c_id',authenticate,limitComments,validation.comment,editComment);
+
+// @type   DELETE
+// @route  /api/questions/comments/:id/:c_id
+// @desc   route for deleting own comment on a question
+// @access PRIVATE
+router.delete('/comments/:id/:c_id',authenticate,validation.ids,deleteComment);
+
+// @type   POST
+// @route  /api/questions/answers/comments/:id/:a_id
+// @desc   route for commenting on an answer, @username mentions are resolved
+// @access PRIVATE
+router.post('/answers/comments/:id/:a_id',authenticate,limitComments,validation.comment,addComment);
+
+// @type   PUT
+// @route  /api/questions/answers/comments/:id/:a_id/:c_id
+// @desc   route for editing own comment on an answer
+// @access PRIVATE
+router.put('/answers/comments/:id/:a_id/:c_id',authenticate,limitComments,validation.comment,editComment);
+
+// @type   DELETE
+// @route  /api/questions/answers/comments/:id/:a_id/:c_id
+// @desc   route for deleting own comment on an answer
+// @access PRIVATE
+router.delete('/answers/comments/:id/:a_id/:c_id',authenticate,validation.ids,deleteComment);
+
+//report a question, or one of its answers when the route has :a_id,
+//to the moderators. A user can only flag the same post once
+const flagPost = asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    const answer = req.params.a_id ? findAnswer(question, req) : null;
+    const target = {
+        user: req.user.id,
+        question: question._id,
+        answer: answer ? answer._id : null,
+        status: 'open'
+    };
+    if(await Flag.exists(target)){
+        throw new BadRequestError({flagged: 'You already flagged this'});
+    }
+    const flag = await new Flag(Object.assign(target, {
+        reason: req.body.reason,
+        details: req.body.details
+    })).save();
+    res.json(flag);
+});
+
+// @type   POST
+// @route  /api/questions/flag/:id
+// @desc   route for reporting a question to the moderators
+// @access PRIVATE
+router.post('/flag/:id',authenticate,validation.flag,flagPost);
+
+// @type   POST
+// @route  /api/questions/answers/flag/:id/:a_id
+// @desc   route for reporting an answer to the moderators
+// @access PRIVATE
+router.post('/answers/flag/:id/:a_id',authenticate,validation.flag,flagPost);
+
+//shared handler for the saved lists of a user, list is 'bookmarks' or
+//'following'. Adding twice or removing what is not there is a 400
+const SAVED = {
+    bookmarks: {
+        added: {success: 'Question bookmarked'},
+        removed: {success: 'Bookmark removed'},
+        already: {bookmarked: 'Question is already bookmarked'},
+        missing: {notbookmarked: 'Question is not bookmarked'}
+    },
+    following: {
+        added: {success: 'Question followed'},
+        removed: {success: 'Question unfollowed'},
+        already: {following: 'You already follow this question'},
+        missing: {notfollowing: 'You do not follow this question'}
+    }
+};
+
+const saveQuestion = (list, add) => asyncHandler(async (req,res)=>{
+    const question = await findQuestion(req);
+    const messages = SAVED[list];
+    const update = add
+        ? await addToList(list, req.user.id, question)
+        : await Person.updateOne(
+            { _id: req.user.id },
+            { $pull: { [list]: { question: question._id } } }
+        );
+    if(!update.modifiedCount){
+        throw new BadRequestError(add ? messages.already : messages.missing);
+    }
+    res.json(add ? messages.added : messages.removed);
+});
+
+// @type   POST
+// @route  /api/questions/bookmark/:id
+// @desc   route for bookmarking a question
+// @access PRIVATE
+router.post('/bookmark/:id',authenticate,validation.ids,saveQuestion('bookmarks', true));
+
+// @type   DELETE
+// @route  /api/questions/bookmark/:id
+// @desc   route for removing a bookmark
+// @access PRIVATE
+router.delete('/bookmark/:id',authenticate,validation.ids,saveQuestion('bookmarks', false));
+
+// @type   POST
+// @route  /api/questions/follow/:id
+// @desc   route for following the answers and upvotes of a question in the feed
+// @access PRIVATE
+router.post('/follow/:id',authenticate,validation.ids,saveQuestion('following', true));
+
+// @type   DELETE
+// @route  /api/questions/follow/:id
+// @desc   route for unfollowing a question
+// @access PRIVATE
+router.delete('/follow/:id',authenticate,validation.ids,saveQuestion('following', false));
 
 //task todo
-//downvote
-//delete questions
 //delete all questions
 
 //Create a separate route for linus question
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('../middleware/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
+
+//request validation
+const questionValidation = require('../validation/questions');
+const profileValidation = require('../validation/profile');
+
+//Load Profile Model
+const Profile = require('../models/Profile');
+
+//Load Question Model
+const Question = require('../models/Question');
+
+//view counting
+const { recordView } = require('../utils/views');
+
+//server rendered pages, reading is public and everything that writes
+//goes through the JSON api from the browser with the saved token
+
+// @type   GET
+// @route  /questions/ask
+// @desc   route for the ask question page
+// @access PUBLIC
+router.get('/questions/ask', (req,res) => res.render('ask'));
+
+// @type   GET
+// @route  /questions/:id
+// @desc   route for the question page with answers, votes, comments,
+//         the author profile and the answer form
+// @access PUBLIC
+router.get('/questions/:id',questionValidation.ids,asyncHandler(async (req,res)=>{
+    const question = await Question.findOne({ _id: req.params.id, deleted: null });
+    if(!question){
+        throw new NotFoundError({questionnotfound: 'No question found'});
+    }
+    await recordView(question, req);
+
+    //usernames and reputation of everybody who posted on the page
+    const users = [question.user].concat(question.answers.map(answer => answer.user));
+    const found = await Profile.find({ user: { $in: users } })
+        .select('user username reputation country badges');
+    const profiles = {};
+    found.forEach(profile => profiles[String(profile.user)] = profile);
+
+    res.render('question', {
+        question,
+        profiles,
+        author: profiles[String(question.user)]
+    });
+}));
+
+// @type   GET
+// @route  /users/:username
+// @desc   route for the public profile page of a user
+// @access PUBLIC
+router.get('/users/:username',profileValidation.username,asyncHandler(async (req,res)=>{
+    const profile = await Profile.findOne({ username: req.params.username })
+        .populate('user', ['name', 'profilepic']);
+    if(!profile){
+        throw new NotFoundError({usernotfound: 'user not found'});
+    }
+    res.render('users', {profile});
+}));
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const config = require('./config');
+const logger = require('../utils/logger');
+
+//load Person Model
+const Person = require('../models/Person');
+
+//Load Question Model
+const Question = require('../models/Question');
+
+//missing only where no element has one
+const lacking = field => ({ [field]: { $exists: false } });
+const anyLacking = (list, field) => ({ [list]: { $elemMatch: lacking(field) } });
+
+//update pipeline value keeping a field, or filling it in when missing
+const orElse = (field, value) => ({ $ifNull: [field, value] });
+
+//fill a field on every answer of a list, value gets the answer as $$answer
+const eachAnswer = (list, field, value) => ({
+    $map: {
+        input: { $ifNull: [list, []] },
+        as: 'answer',
+        in: { $mergeObjects: ['$$answer', { [field]: orElse(`$$answer.${field}`, value) }] }
+    }
+});
+
+//upvotes minus downvotes of the question ('$') or the answer ('$$answer.')
+const voteScore = prefix => ({
+    $subtract: [
+        { $size: { $ifNull: [`${prefix}upvotes`, []] } },
+        { $size: { $ifNull: [`${prefix}downvotes`, []] } }
+    ]
+});
+
+//questions and answers from before stored scores would get a score of 0
+//written by their next save, whatever votes they hold
+const fillScores = () => {
+    return Question.updateMany(
+        { $or: [lacking('score'), anyLacking('answers', 'score'), anyLacking('removedanswers', 'score')] },
+        [{ $set: {
+            score: orElse('$score', voteScore('$')),
+            answers: eachAnswer('$answers', 'score', voteScore('$$answer.')),
+            removedanswers: eachAnswer('$removedanswers', 'score', voteScore('$$answer.'))
+        } }]
+    )
+        .then(result => {
+            if(result.modifiedCount){
+                logger.info('Filled in vote scores of older questions', { count: result.modifiedCount });
+            }
+        });
+};
+
+//questions from before the stored answer count list as unanswered and sort
+//last by answers until their next save
+const fillAnswerCounts = () => {
+    return Question.updateMany(
+        lacking('answercount'),
+        [{ $set: { answercount: { $size: { $ifNull: ['$answers', []] } } } }]
+    )
+        .then(result => {
+            if(result.modifiedCount){
+                logger.info('Filled in answer counts of older questions', { count: result.modifiedCount });
+            }
+        });
+};
+
+//questions from before lastactivity would get the time of their next save,
+//they start from their latest answer instead. Their upvoters are recorded
+//so upvoting again after a retraction does not count as activity
+const fillActivity = () => {
+    const latest = { $max: ['$date', { $max: { $ifNull: ['$answers.date', []] } }] };
+    const upvoters = prefix => ({ $ifNull: [`${prefix}upvotes.user`, []] });
+    return Question.updateMany(
+        { $or: [lacking('lastactivity'), lacking('upvotedby'), anyLacking('answers', 'upvotedby')] },
+        [{ $set: {
+            lastactivity: orElse('$lastactivity', latest),
+            upvotedby: orElse('$upvotedby', upvoters('$')),
+            answers: eachAnswer('$answers', 'upvotedby', upvoters('$$answer.'))
+        } }]
+    )
+        .then(result => {
+            if(result.modifiedCount){
+                logger.info('Filled in the activity of older questions', { count: result.modifiedCount });
+            }
+        });
+};
+
+//accounts from before email verification never got the chance to verify,
+//they are trusted as they are. New accounts always store `verified`
+const verifyExistingAccounts = () => {
+    return Person.updateMany({ verified: { $exists: false } }, { $set: { verified: true } })
+        .then(result => {
+            if(result.modifiedCount){
+                logger.info('Marked accounts from before email verification as verified', { count: result.modifiedCount });
+            }
+        });
+};
+
+//make the accounts of ADMIN_EMAILS admins, roles are otherwise only handed
+//out by admins. Accounts registered later are promoted on the next start
+const promoteAdmins = () => {
+    if(!config.adminEmails.length) return Promise.resolve();
+    return Person.updateMany(
+        { email: { $in: config.adminEmails }, role: { $ne: 'admin' }, system: { $ne: true } },
+        { $set: { role: 'admin' } }
+    )
+        .then(result => {
+            if(result.modifiedCount){
+                logger.info('Made ADMIN_EMAILS accounts admins', { count: result.modifiedCount });
+            }
+        });
+};
+
+//data fixes run once the database is connected, each is safe to run on
+//every start. Never rejects, a failed step is logged and the app keeps going
+const bootstrap = () => {
+    return verifyExistingAccounts()
+        .then(promoteAdmins)
+        .then(fillScores)
+        .then(fillAnswerCounts)
+        .then(fillActivity)
+        .catch(err => logger.error('Startup data fixes failed', { error: logger.describeError(err) }));
+};
+
+module.exports = bootstrap;
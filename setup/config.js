@@ -0,0 +1,137 @@
+const path = require('path');
+const dotenv = require('dotenv');
+const validator = require('validator');
+
+//NODE_ENV picks the profile, real environment variables always win over
+//.env.<env> which wins over .env
+const env = process.env.NODE_ENV || 'development';
+const root = path.join(__dirname, '..');
+dotenv.config({ path: path.join(root, `.env.${env}`) });
+dotenv.config({ path: path.join(root, '.env') });
+
+//defaults for each profile, production has none for the secrets on purpose
+const PROFILES = {
+    development: {
+        mongoURL: 'mongodb://127.0.0.1:27017/bigstack',
+        secret: 'development-only-secret',
+        mailTransport: 'console',
+        logLevel: 'debug',
+        rateLimit: 'on'
+    },
+    test: {
+        mongoURL: 'mongodb://127.0.0.1:27017/bigstack-test',
+        secret: 'test-only-secret',
+        mailTransport: 'file',
+        logLevel: 'warn',
+        //tests hammer the same routes, they opt in with RATE_LIMIT=on
+        rateLimit: 'off'
+    },
+    //no mail transport either, console would leave the mailed tokens in the logs
+    production: {
+        logLevel: 'info',
+        rateLimit: 'on'
+    }
+};
+
+const profile = PROFILES[env] || {};
+
+//TRUST_PROXY as express expects it, a boolean, a hop count or a list of addresses
+const trustProxy = value => {
+    if(value === undefined || value === 'false') return false;
+    if(value === 'true') return true;
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
+const config = {
+    env,
+    port: parseInt(process.env.PORT || '3000', 10),
+    mongoURL: process.env.MONGO_URL || profile.mongoURL,
+    secret: process.env.JWT_SECRET || profile.secret,
+    //public address used in mailed links, falls back to the request host
+    appURL: process.env.APP_URL,
+    logLevel: process.env.LOG_LEVEL || profile.logLevel || 'info',
+    mail: {
+        transport: process.env.MAIL_TRANSPORT || profile.mailTransport,
+        dir: process.env.MAIL_DIR || path.join(root, 'mails'),
+        //smtp(s)://user:pass@host:port of the smtp transport
+        smtpURL: process.env.SMTP_URL,
+        from: process.env.MAIL_FROM || 'Bigstack <no-reply@localhost>'
+    },
+    //uploaded files of the local storage backend and the path serving them
+    uploads: {
+        dir: process.env.UPLOAD_DIR || path.join(root, 'uploads'),
+        url: '/uploads',
+        maxAvatarBytes: parseInt(process.env.AVATAR_MAX_BYTES || String(2 * 1024 * 1024), 10)
+    },
+    //express `trust proxy` setting, needed behind a load balancer so the
+    //rate limiter sees client addresses instead of the proxy
+    trustProxy: trustProxy(process.env.TRUST_PROXY),
+    rateLimit: {
+        enabled: (process.env.RATE_LIMIT || profile.rateLimit) === 'on'
+    },
+    //accounts made admins at startup, the way to get the first admin
+    adminEmails: (process.env.ADMIN_EMAILS || '').split(',')
+        .map(email => email.trim())
+        .filter(email => email.length > 0),
+    //failed logins in a row before the account is locked, and for how long
+    login: {
+        maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10),
+        lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES || '15', 10)
+    }
+};
+
+//fail at startup instead of on the first request
+const validateConfig = config => {
+    const problems = [];
+    if(!PROFILES[config.env]){
+        problems.push(`NODE_ENV must be one of ${Object.keys(PROFILES).join(', ')}`);
+    }
+    if(!Number.isInteger(config.port) || config.port < 0 || config.port > 65535){
+        problems.push('PORT must be a valid port number');
+    }
+    if(!config.mongoURL || !/^mongodb(\+srv)?:\/\//.test(config.mongoURL)){
+        problems.push('MONGO_URL must be a mongodb:// or mongodb+srv:// connection string');
+    }
+    if(!config.secret){
+        problems.push('JWT_SECRET is required');
+    } else if(config.env === 'production' && config.secret.length < 32){
+        problems.push('JWT_SECRET must be at least 32 characters in production');
+    }
+    if(config.appURL && !/^https?:\/\/[^\s]+$/.test(config.appURL)){
+        problems.push('APP_URL must be an http(s) address');
+    }
+    if(!['debug', 'info', 'warn', 'error'].includes(config.logLevel)){
+        problems.push('LOG_LEVEL must be debug, info, warn or error');
+    }
+    if(!config.mail.transport){
+        problems.push('MAIL_TRANSPORT is required');
+    } else if(!['console', 'file', 'smtp'].includes(config.mail.transport)){
+        problems.push('MAIL_TRANSPORT must be console, file or smtp');
+    } else if(config.env === 'production' && config.mail.transport === 'console'){
+        problems.push('MAIL_TRANSPORT can not be console in production, mailed tokens would end up in the logs');
+    }
+    if(config.mail.transport === 'smtp' && !/^smtps?:\/\/[^\s]+$/.test(config.mail.smtpURL || '')){
+        problems.push('SMTP_URL must be an smtp:// or smtps:// address when MAIL_TRANSPORT is smtp');
+    }
+    if(!Number.isInteger(config.uploads.maxAvatarBytes) || config.uploads.maxAvatarBytes < 1){
+        problems.push('AVATAR_MAX_BYTES must be a positive number');
+    }
+    if(process.env.RATE_LIMIT && !['on', 'off'].includes(process.env.RATE_LIMIT)){
+        problems.push('RATE_LIMIT must be on or off');
+    }
+    if(!config.adminEmails.every(email => validator.isEmail(email))){
+        problems.push('ADMIN_EMAILS must be a comma separated list of email addresses');
+    }
+    if(!Number.isInteger(config.login.maxAttempts) || config.login.maxAttempts < 1){
+        problems.push('LOGIN_MAX_ATTEMPTS must be a positive number');
+    }
+    if(!Number.isInteger(config.login.lockMinutes) || config.login.lockMinutes < 1){
+        problems.push('LOGIN_LOCK_MINUTES must be a positive number');
+    }
+    if(problems.length){
+        throw new Error('Invalid configuration:\n - ' + problems.join('\n - '));
+    }
+    return config;
+};
+
+module.exports = validateConfig(config);
@@ -2,21 +2,24 @@ const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
 const mongoose = require('mongoose');
 const Person = mongoose.model("myPerson");
-const myKey = require('../setup/myurl');
+const config = require('../setup/config');
+const { isSessionActive } = require('../utils/tokens');
 
 var opts = {}
 opts.jwtFromRequest = ExtractJwt.fromAuthHeaderAsBearerToken();
-opts.secretOrKey = myKey.secret;
+opts.secretOrKey = config.secret;
 
 module.exports = passport => {
     passport.use(new JwtStrategy(opts, (jwt_payload,done)=> {
-        Person.findById(jwt_payload.id)
-            .then(person => {
-                if(person){
-                    return done(null, person);
+        //token is only good while its session has not been logged out
+        Promise.all([Person.findById(jwt_payload.id), isSessionActive(jwt_payload.sid)])
+            .then(([person, active]) => {
+                if(person && active){
+                    //exp lets long lived responses like streams end with the token
+                    return done(null, person, { sid: jwt_payload.sid, exp: jwt_payload.exp });
                 }
                 return done(null,false);
             })
-            .catch(err => console.log(err));
+            .catch(err => done(err, false));
     }));
 }
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('assert');
+const db = require('./helpers/db');
+const Person = require('../models/Person');
+const Profile = require('../models/Profile');
+const Question = require('../models/Question');
+const Reputation = require('../models/Reputation');
+const { deleteAccount } = require('../utils/accounts');
+const { DELETED_USER } = require('../utils/constants');
+
+//account deletion runs in a transaction, so these need a replica set
+let available = false;
+test.before(async () => {
+    available = await db.connect() && await db.supportsTransactions();
+});
+test.after(() => db.disconnect());
+test.beforeEach(() => available && db.clear(Person, Profile, Question, Reputation));
+
+const person = name => new Person({ name, email: `${name}@example.com`, password: 'x' }).save();
+
+test('content is handed over and votes, upvoters and mentions of the person are gone', async t => {
+    if(!available) return t.skip('no MongoDB replica set');
+    const leaving = await person('leaving');
+    const staying = await person('staying');
+    const mention = { user: leaving._id, username: 'leaving' };
+    const comment = (user, mentions) => ({ user: user._id, name: user.name, text: 'c', mentions });
+
+    const question = await new Question({
+        user: staying._id,
+        textone: 't',
+        texttwo: 'b',
+        upvotes: [{ user: leaving._id }],
+        score: 1,
+        upvotedby: [leaving._id, staying._id],
+        comments: [comment(staying, [mention])],
+        answers: [{
+            user: leaving._id,
+            name: leaving.name,
+            text: 'a',
+            downvotes: [{ user: staying._id }],
+            score: -1,
+            upvotedby: [leaving._id],
+            comments: [comment(leaving, []), comment(staying, [mention])]
+        }],
+        removedanswers: [{
+            user: staying._id,
+            text: 'r',
+            comments: [comment(leaving, [])]
+        }]
+    }).save();
+
+    await deleteAccount(leaving);
+
+    const ghost = await Person.findOne({ email: DELETED_USER.email });
+    assert.ok(ghost.system);
+    assert.strictEqual(await Person.exists({ _id: leaving._id }), null);
+
+    const stored = (await Question.findById(question._id)).toObject();
+    assert.deepStrictEqual(stored.upvotes, []);
+    assert.strictEqual(stored.score, 0);
+    assert.deepStrictEqual(stored.upvotedby.map(String), [String(staying._id)]);
+    assert.deepStrictEqual(stored.comments[0].mentions, []);
+
+    const [answer] = stored.answers;
+    assert.strictEqual(String(answer.user), String(ghost._id));
+    assert.strictEqual(answer.name, DELETED_USER.name);
+    //votes of others stay
+    assert.strictEqual(answer.score, -1);
+    assert.deepStrictEqual(answer.upvotedby, []);
+    assert.deepStrictEqual(answer.comments.map(item => String(item.user)), [String(ghost._id), String(staying._id)]);
+    assert.deepStrictEqual(answer.comments[1].mentions, []);
+
+    assert.strictEqual(String(stored.removedanswers[0].comments[0].user), String(ghost._id));
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('assert');
+const mongoose = require('mongoose');
+const reputation = require('../utils/reputation');
+const Person = require('../models/Person');
+const Profile = require('../models/Profile');
+const Question = require('../models/Question');
+const Activity = require('../models/Activity');
+const Flag = require('../models/Flag');
+const Notification = require('../models/Notification');
+const RefreshToken = require('../models/RefreshToken');
+const Reputation = require('../models/Reputation');
+const { deleteAccount } = require('../utils/accounts');
+const { DELETED_USER } = require('../utils/constants');
+
+//no database here: the session runs the transaction body right away and
+//every write is recorded with the session it was given
+const session = { ended: false };
+session.withTransaction = fn => fn();
+session.endSession = () => {
+    session.ended = true;
+    return Promise.resolve();
+};
+mongoose.startSession = () => Promise.resolve(session);
+
+let writes = [];
+let questions = [];
+let reputationCalls = [];
+
+const recordWrites = (model, methods) => methods.forEach(method => {
+    model[method] = (filter, update, options) => {
+        writes.push({ model: model.modelName, method, filter, update, options: options || update });
+        return Promise.resolve({ modifiedCount: 0 });
+    };
+});
+[Question, Profile, Flag].forEach(model => recordWrites(model, ['updateMany']));
+[Activity, Notification, RefreshToken, Reputation].forEach(model => recordWrites(model, ['deleteMany']));
+[Profile, Person].forEach(model => recordWrites(model, ['deleteOne']));
+
+const ghost = new Person({ name: DELETED_USER.name, email: DELETED_USER.email, password: '!', system: true });
+Person.findOneAndUpdate = (filter, update, options) => {
+    writes.push({ model: 'myPerson', method: 'findOneAndUpdate', filter, update, options });
+    return Promise.resolve(ghost);
+};
+Question.find = () => ({ session: () => Promise.resolve(questions) });
+reputation.forVote = args => {
+    reputationCalls.push(Object.assign({ call: 'forVote' }, args));
+    return Promise.resolve([]);
+};
+reputation.forVoteOnRemoved = args => {
+    reputationCalls.push(Object.assign({ call: 'forVoteOnRemoved' }, args));
+    return Promise.resolve([]);
+};
+
+const id = () => new mongoose.Types.ObjectId();
+
+test.beforeEach(() => {
+    writes = [];
+    questions = [];
+    reputationCalls = [];
+    session.ended = false;
+});
+
+test('votes on live posts are retracted, votes on removed posts are kept out of restores', async () => {
+    const person = new Person({ name: 'a', email: 'a@example.com', password: 'x' });
+    const other = id();
+    const live = new Question({
+        user: other,
+        textone: 't',
+        texttwo: 'b',
+        upvotes: [{ user: person._id }],
+        answers: [{ user: other, text: 'a', downvotes: [{ user: person._id }] }],
+        removedanswers: [{ user: other, text: 'r', upvotes: [{ user: person._id }] }]
+    });
+    const deleted = new Question({
+        user: other,
+        textone: 't',
+        texttwo: 'b',
+        deleted: Date.now(),
+        answers: [{ user: other, text: 'a', upvotes: [{ user: person._id }] }]
+    });
+    questions = [live, deleted];
+
+    await deleteAccount(person);
+
+    const calls = reputationCalls.map(call => [call.call, call.question === live, call.answer ? 'answer' : 'question', call.previous]);
+    assert.deepStrictEqual(calls, [
+        ['forVote', true, 'question', 'up'],
+        ['forVote', true, 'answer', 'down'],
+        ['forVoteOnRemoved', true, 'answer', 'up'],
+        ['forVoteOnRemoved', false, 'answer', 'up']
+    ]);
+    reputationCalls.forEach(call => assert.strictEqual(call.session, session));
+});
+
+test('content moves to the system account and everything else goes, in one session', async () => {
+    const person = new Person({ name: 'a', email: 'a@example.com', password: 'x' });
+    await deleteAccount(person);
+
+    const upsert = writes.find(write => write.method === 'findOneAndUpdate');
+    assert.strictEqual(upsert.update.$set.system, true);
+    writes.forEach(write => assert.strictEqual(write.options.session, session, `${write.model}.${write.method}`));
+
+    const reassigned = writes.filter(write => write.model === 'myQuestion' && write.update.$set);
+    assert.ok(reassigned.some(write => String(write.filter.user) === String(person._id)));
+    reassigned.forEach(write => Object.keys(write.update.$set)
+        .filter(key => key.endsWith('user'))
+        .forEach(key => assert.strictEqual(write.update.$set[key], ghost._id)));
+
+    const deletes = writes.filter(write => write.method.startsWith('delete')).map(write => write.model);
+    ['myActivity', 'myNotification', 'myRefreshToken', 'myReputation', 'myProfile', 'myPerson']
+        .forEach(model => assert.ok(deletes.includes(model), model));
+    assert.strictEqual(writes[writes.length - 1].model, 'myPerson');
+    assert.ok(session.ended);
+});
+
+test('the session ends and the error surfaces when the transaction fails', async () => {
+    const person = new Person({ name: 'a', email: 'a@example.com', password: 'x' });
+    const original = Person.deleteOne;
+    Person.deleteOne = () => Promise.reject(new Error('write conflict'));
+    try {
+        await assert.rejects(deleteAccount(person), /write conflict/);
+    } finally {
+        Person.deleteOne = original;
+    }
+    assert.ok(session.ended);
+});
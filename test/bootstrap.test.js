@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('assert');
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const Question = require('../models/Question');
+const bootstrap = require('../setup/bootstrap');
+
+const id = () => new mongoose.Types.ObjectId();
+
+let available = false;
+test.before(async () => {
+    available = await db.connect();
+});
+test.after(() => db.disconnect());
+test.beforeEach(() => available && db.clear(Question));
+
+//a question as stored before the vote, answer and activity fields existed
+const oldQuestion = fields => Question.collection.insertOne(Object.assign({
+    textone: 'old',
+    texttwo: 'question',
+    upvotes: [],
+    downvotes: [],
+    answers: [],
+    comments: [],
+    date: new Date('2020-01-01')
+}, fields));
+
+test('scores of older questions and answers are filled in from their votes', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const { insertedId } = await oldQuestion({
+        upvotes: [{ user: id() }, { user: id() }],
+        downvotes: [{ user: id() }],
+        answers: [
+            { _id: id(), text: 'a', upvotes: [{ user: id() }], downvotes: [] },
+            { _id: id(), text: 'b', upvotes: [], downvotes: [], score: 4 }
+        ]
+    });
+    await bootstrap();
+
+    const stored = await Question.collection.findOne({ _id: insertedId });
+    assert.strictEqual(stored.score, 1);
+    assert.deepStrictEqual(stored.answers.map(answer => answer.score), [1, 4]);
+});
+
+test('stored scores are left alone', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const { insertedId } = await oldQuestion({ upvotes: [{ user: id() }], score: 7 });
+    await bootstrap();
+    const stored = await Question.collection.findOne({ _id: insertedId });
+    assert.strictEqual(stored.score, 7);
+});
+
+test('answer counts of older questions are filled in', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const { insertedId } = await oldQuestion({
+        answers: [{ _id: id(), text: 'a' }, { _id: id(), text: 'b' }]
+    });
+    const { insertedId: unanswered } = await oldQuestion({});
+    await bootstrap();
+    assert.strictEqual((await Question.collection.findOne({ _id: insertedId })).answercount, 2);
+    assert.strictEqual((await Question.collection.findOne({ _id: unanswered })).answercount, 0);
+});
+
+test('any save puts a stale answer count right without counting as activity', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const lastactivity = new Date('2020-01-02');
+    const { insertedId } = await oldQuestion({
+        answers: [{ _id: id(), user: id(), text: 'a' }, { _id: id(), user: id(), text: 'b' }],
+        answercount: 0,
+        lastactivity
+    });
+    const question = await Question.findById(insertedId);
+    question.views = 3;
+    await question.save();
+    const stored = await Question.collection.findOne({ _id: insertedId });
+    assert.strictEqual(stored.answercount, 2);
+    assert.deepStrictEqual(stored.lastactivity, lastactivity);
+});
+
+test('older questions get their latest answer as last activity and keep their upvoters', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const voter = id();
+    const { insertedId } = await oldQuestion({
+        upvotes: [{ user: voter }],
+        answers: [
+            { _id: id(), text: 'a', date: new Date('2020-03-01'), upvotes: [{ user: voter }] },
+            { _id: id(), text: 'b', date: new Date('2020-02-01'), upvotes: [] }
+        ]
+    });
+    await bootstrap();
+    const stored = await Question.collection.findOne({ _id: insertedId });
+    assert.deepStrictEqual(stored.lastactivity, new Date('2020-03-01'));
+    assert.deepStrictEqual(stored.upvotedby, [voter]);
+    assert.deepStrictEqual(stored.answers.map(answer => answer.upvotedby), [[voter], []]);
+});
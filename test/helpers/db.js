@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const config = require('../../setup/config');
+
+//tests that need MongoDB use the one of the test profile (MONGO_URL to
+//point elsewhere) and are skipped when none answers within a moment
+
+let connected = null;
+
+//resolves to true once connected, false when there is no database
+const connect = () => {
+    if(connected === null){
+        connected = mongoose.connect(config.mongoURL, { serverSelectionTimeoutMS: 2000 })
+            .then(() => true)
+            .catch(() => false);
+    }
+    return connected;
+};
+
+//transactions need a replica set, a single node one is enough
+const supportsTransactions = () => {
+    return mongoose.connection.db.admin().command({ hello: 1 })
+        .then(hello => Boolean(hello.setName))
+        .catch(() => false);
+};
+
+const disconnect = () => mongoose.disconnect();
+
+//empty the collections of the given models
+const clear = (...models) => Promise.all(models.map(model => model.deleteMany({})));
+
+module.exports = {
+    connect,
+    supportsTransactions,
+    disconnect,
+    clear
+};
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('assert');
+const { parseMentions } = require('../utils/mentions');
+
+test('email addresses are not mentions', () => {
+    assert.deepStrictEqual(parseMentions('mail me a@b.com'), []);
+    assert.deepStrictEqual(parseMentions('write to john.doe@example.com or @jane'), ['jane']);
+});
+
+test('mentions are found at the start, after punctuation and only once', () => {
+    assert.deepStrictEqual(parseMentions('@ann thanks (@bob), @ann.'), ['ann', 'bob']);
+    assert.deepStrictEqual(parseMentions('ask @john.doe'), ['john.doe']);
+    assert.deepStrictEqual(parseMentions('no mentions here'), []);
+});
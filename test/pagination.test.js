@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('assert');
+const { pageParams, pagination } = require('../utils/pagination');
+
+test('pageParams falls back to the first page and caps the limit', () => {
+    assert.deepStrictEqual(pageParams({}), { page: 1, limit: 20, skip: 0 });
+    assert.deepStrictEqual(pageParams({ page: '3', limit: '10' }), { page: 3, limit: 10, skip: 20 });
+    assert.deepStrictEqual(pageParams({ page: '-1', limit: '1000' }), { page: 1, limit: 100, skip: 0 });
+});
+
+test('pagination tells whether there are more pages', () => {
+    assert.deepStrictEqual(pagination(2, 10, 25), { page: 2, limit: 10, total: 25, pages: 3, hasnext: true, hasprev: true });
+    assert.deepStrictEqual(pagination(1, 10, 0), { page: 1, limit: 10, total: 0, pages: 0, hasnext: false, hasprev: false });
+});
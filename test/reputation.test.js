@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('assert');
+const mongoose = require('mongoose');
+const Profile = require('../models/Profile');
+const Reputation = require('../models/Reputation');
+const reputation = require('../utils/reputation');
+
+//the reputation history and profile totals live in memory, the aggregate
+//fake understands the $match and $group shapes utils/reputation uses
+let ledger = [];
+let totals = {};
+
+const same = (a, b) => String(a) === String(b);
+
+const matches = (entry, match) => Object.keys(match).every(key => {
+    if(key === '$or') return match.$or.some(part => matches(entry, part));
+    const wanted = match[key];
+    if(wanted === null) return entry[key] === undefined || entry[key] === null;
+    if(wanted && wanted.$in) return wanted.$in.some(value => same(value, entry[key]));
+    return same(wanted, entry[key]);
+});
+
+const sumOf = (entries, spec) => entries.reduce((sum, entry) => {
+    if(spec === '$amount') return sum + entry.amount;
+    const [condition, ifTrue, ifFalse] = spec.$cond;
+    const removal = condition.$in[1].includes(entry.reason);
+    return sum + (removal ? ifTrue : entry.amount * (ifFalse === '$amount' ? 1 : 0));
+}, 0);
+
+Reputation.prototype.save = function(){
+    ledger.push(this.toObject());
+    return Promise.resolve(this);
+};
+Profile.updateOne = (filter, update) => {
+    const user = String(filter.user);
+    totals[user] = (totals[user] || 0) + update.$inc.reputation;
+    return Promise.resolve({ modifiedCount: 1 });
+};
+Reputation.aggregate = pipeline => {
+    const [{ $match: match }, { $group: group }] = pipeline;
+    const found = ledger.filter(entry => matches(entry, match));
+    const users = [...new Set(found.map(entry => String(entry.user)))];
+    return Promise.resolve(users.map(user => {
+        const own = found.filter(entry => same(entry.user, user));
+        const result = { _id: user };
+        Object.keys(group).filter(key => key !== '_id').forEach(key => {
+            result[key] = sumOf(own, group[key].$sum);
+        });
+        return result;
+    }));
+};
+
+const id = () => new mongoose.Types.ObjectId();
+const author = id();
+const answerer = id();
+const voter = id();
+
+const fixture = () => {
+    const answer = { _id: id(), user: answerer };
+    const question = { _id: id(), user: author, answers: [answer] };
+    return { question, answer };
+};
+
+test.beforeEach(() => {
+    ledger = [];
+    totals = {};
+});
+
+test('forVote credits the author with the difference between votes', async () => {
+    const { question, answer } = fixture();
+    await reputation.forVote({ question, voter, previous: null, direction: 'up' });
+    await reputation.forVote({ question, answer, voter, previous: null, direction: 'up' });
+    assert.strictEqual(totals[author], reputation.POINTS.questionupvote);
+    assert.strictEqual(totals[answerer], reputation.POINTS.answerupvote);
+
+    //switching to a downvote takes back the upvote and applies the downvote
+    await reputation.forVote({ question, answer, voter, previous: 'up', direction: 'down' });
+    assert.strictEqual(totals[answerer], reputation.POINTS.downvote);
+    await reputation.forVote({ question, answer, voter, previous: 'down', direction: null });
+    assert.strictEqual(totals[answerer], 0);
+});
+
+test('forVote ignores votes on your own post', async () => {
+    const { question } = fixture();
+    await reputation.forVote({ question, voter: author, previous: null, direction: 'up' });
+    assert.strictEqual(ledger.length, 0);
+});
+
+test('forAccept gives and takes back the accepted points', async () => {
+    const { question, answer } = fixture();
+    await reputation.forAccept({ question, answer, accepted: true, actor: author });
+    assert.strictEqual(totals[answerer], reputation.POINTS.accepted);
+    await reputation.forAccept({ question, answer, accepted: false, actor: author });
+    assert.strictEqual(totals[answerer], 0);
+    await reputation.forAccept({ question, answer, accepted: true, actor: answerer });
+    assert.strictEqual(ledger.length, 2);
+});
+
+test('revokeForPost and restoreForPost undo each other', async () => {
+    const { question, answer } = fixture();
+    await reputation.forVote({ question, voter, previous: null, direction: 'up' });
+    await reputation.forVote({ question, answer, voter, previous: null, direction: 'up' });
+    await reputation.forAccept({ question, answer, accepted: true, actor: author });
+
+    await reputation.revokeForPost({ question, actor: author });
+    assert.strictEqual(totals[author], 0);
+    assert.strictEqual(totals[answerer], 0);
+
+    await reputation.restoreForPost({ question, actor: author });
+    assert.strictEqual(totals[author], reputation.POINTS.questionupvote);
+    assert.strictEqual(totals[answerer], reputation.POINTS.answerupvote + reputation.POINTS.accepted);
+});
+
+test('revoking a single answer leaves the question alone', async () => {
+    const { question, answer } = fixture();
+    await reputation.forVote({ question, voter, previous: null, direction: 'up' });
+    await reputation.forVote({ question, answer, voter, previous: null, direction: 'up' });
+    await reputation.revokeForPost({ question, answer, actor: answerer });
+    assert.strictEqual(totals[author], reputation.POINTS.questionupvote);
+    assert.strictEqual(totals[answerer], 0);
+});
+
+test('forVoteOnRemoved keeps the total and keeps the vote out of a restore', async () => {
+    const { question, answer } = fixture();
+    const other = id();
+    await reputation.forVote({ question, answer, voter, previous: null, direction: 'up' });
+    await reputation.forVote({ question, answer, voter: other, previous: null, direction: 'up' });
+    await reputation.revokeForPost({ question, answer, actor: author });
+
+    await reputation.forVoteOnRemoved({ question, answer, voter, previous: 'up' });
+    assert.strictEqual(totals[answerer], 0);
+
+    await reputation.restoreForPost({ question, answer, actor: author });
+    assert.strictEqual(totals[answerer], reputation.POINTS.answerupvote);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('assert');
+const express = require('express');
+const logger = require('../utils/logger');
+const requestLogger = require('../middleware/requestLogger');
+
+//a verify route like the auth router's, failing for the token 'bad'
+const app = express();
+app.use(requestLogger);
+const router = express.Router();
+router.get('/verify/:token', (req,res,next) => {
+    if(req.params.token === 'bad') return next(new Error('expired'));
+    res.send('ok');
+});
+app.use('/api/auth', router);
+app.use((err,req,res,next) => res.status(400).send('error'));
+
+const logged = [];
+['info', 'warn', 'error'].forEach(level => {
+    logger[level] = (message, fields) => logged.push(fields);
+});
+
+let server;
+test.before(() => new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+}));
+test.after(() => server.close());
+
+const request = path => fetch(`http://127.0.0.1:${server.address().port}${path}`).then(res => res.text());
+
+test('tokens in the path are logged as the route pattern', async () => {
+    logged.length = 0;
+    await request('/api/auth/verify/secret?x=1');
+    await request('/api/auth/verify/bad');
+    assert.deepStrictEqual(logged.map(fields => [fields.route, fields.status]), [
+        ['/api/auth/verify/:token', 200],
+        ['/api/auth/verify/:token', 400]
+    ]);
+});
+
+test('unknown paths are logged without their query string', async () => {
+    logged.length = 0;
+    await request('/nothing/here?token=secret');
+    assert.strictEqual(logged[0].route, '/nothing/here');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('assert');
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const Question = require('../models/Question');
+const Profile = require('../models/Profile');
+const { searchQuestions } = require('../utils/search');
+
+const HOUR = 60 * 60 * 1000;
+
+let available = false;
+test.before(async () => {
+    available = await db.connect();
+});
+test.after(() => db.disconnect());
+test.beforeEach(() => available && db.clear(Question, Profile));
+
+const ask = fields => new Question(Object.assign({
+    user: new mongoose.Types.ObjectId(),
+    textone: 't',
+    texttwo: 'b'
+}, fields)).save();
+
+test('hot ranks by the age of the question, not by its last activity', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const now = Date.now();
+    const older = await ask({ date: new Date(now - 48 * HOUR), lastactivity: new Date(now) });
+    const newer = await ask({ date: new Date(now - 2 * HOUR), lastactivity: new Date(now - 2 * HOUR) });
+
+    const { questions } = await searchQuestions({ sort: 'hot' });
+    assert.deepStrictEqual(questions.map(question => String(question._id)), [String(newer._id), String(older._id)]);
+});
+
+test('twelve character usernames are looked up, not taken for ids', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const user = new mongoose.Types.ObjectId();
+    await new Profile({ user, username: 'johnsmith123', languages: ['js'] }).save();
+    const asked = await ask({ user });
+    await ask({});
+
+    const byName = await searchQuestions({ author: 'johnsmith123' });
+    assert.deepStrictEqual(byName.questions.map(question => String(question._id)), [String(asked._id)]);
+    const byId = await searchQuestions({ author: String(user) });
+    assert.strictEqual(byId.questions.length, 1);
+    const unknown = await searchQuestions({ author: 'abcdefghijkl' });
+    assert.strictEqual(unknown.questions.length, 0);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('assert');
+const db = require('./helpers/db');
+const Person = require('../models/Person');
+const RefreshToken = require('../models/RefreshToken');
+const tokens = require('../utils/tokens');
+
+let available = false;
+test.before(async () => {
+    available = await db.connect();
+});
+test.after(() => db.disconnect());
+test.beforeEach(() => available && db.clear(Person, RefreshToken));
+
+const login = async () => {
+    const person = await new Person({ name: 'a', email: 'a@example.com', password: 'x' }).save();
+    return tokens.issueTokens(person, 'test');
+};
+
+test('a refresh token is swapped for a new pair once', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const { refreshtoken } = await login();
+    const rotated = await tokens.rotateTokens(refreshtoken);
+    assert.ok(rotated.token);
+    assert.notStrictEqual(rotated.refreshtoken, refreshtoken);
+    assert.ok(await tokens.rotateTokens(rotated.refreshtoken));
+});
+
+test('two refreshes racing with the same token leave one winner and revoke the session', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const { refreshtoken } = await login();
+    const results = await Promise.all([tokens.rotateTokens(refreshtoken), tokens.rotateTokens(refreshtoken)]);
+    assert.strictEqual(results.filter(Boolean).length, 1);
+
+    //the second use counts as reuse of a stolen token
+    const session = await RefreshToken.findOne({});
+    assert.ok(session.revoked);
+    assert.strictEqual(await tokens.rotateTokens(results.find(Boolean).refreshtoken), null);
+});
+
+test('an unknown refresh token gets nothing', async t => {
+    if(!available) return t.skip('no MongoDB');
+    assert.strictEqual(await tokens.rotateTokens('nope'), null);
+    assert.strictEqual(await tokens.rotateTokens(undefined), null);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('assert');
+const validate = require('../validation/validate');
+const { required, text, email, length, integer, oneOf, tags, username } = require('../validation/checks');
+const { ValidationError } = require('../utils/errors');
+const profileValidation = require('../validation/profile');
+
+//run a validate middleware, resolves to the error it passed on or undefined
+const run = (middleware, req) => new Promise(resolve => {
+    middleware(Object.assign({ params: {}, query: {}, body: {} }, req), {}, resolve);
+});
+
+const rules = validate({
+    params: { id: [required()] },
+    query: { page: [integer(1, 10)], sort: [oneOf(['newest', 'hot'])] },
+    body: {
+        title: [required('Title is required'), text(), length(1, 5)],
+        email: [email()],
+        tags: [tags(2)]
+    }
+});
+
+test('valid input passes', async () => {
+    const err = await run(rules, {
+        params: { id: '1' },
+        query: { page: '2', sort: 'hot' },
+        body: { title: 'hello', tags: ['a', 'b'] }
+    });
+    assert.strictEqual(err, undefined);
+});
+
+test('every failing field is reported with its first message', async () => {
+    const err = await run(rules, {
+        query: { page: '11' },
+        body: { title: '', email: 'nope' }
+    });
+    assert.ok(err instanceof ValidationError);
+    assert.strictEqual(err.status, 400);
+    assert.deepStrictEqual(Object.keys(err.errors).sort(), ['email', 'id', 'page', 'title']);
+    assert.strictEqual(err.errors.title, 'Title is required');
+});
+
+test('empty optional fields skip their checks', async () => {
+    const err = await run(rules, { params: { id: '1' }, body: { title: 'a', email: '' } });
+    assert.strictEqual(err, undefined);
+});
+
+test('lists and objects are refused unless a check takes lists', async () => {
+    const err = await run(rules, {
+        params: { id: '1' },
+        query: { sort: ['newest', 'hot'] },
+        body: { title: { $gt: '' }, tags: ['a'] }
+    });
+    assert.deepStrictEqual(err.errors, { sort: 'Must be a single value', title: 'Must be a single value' });
+});
+
+test('text refuses numbers and booleans', async () => {
+    const err = await run(rules, { params: { id: '1' }, body: { title: 123 } });
+    assert.deepStrictEqual(err.errors, { title: 'Must be text' });
+});
+
+test('tags checks count and shape of every entry', () => {
+    assert.strictEqual(tags(2)('js, node'), undefined);
+    assert.strictEqual(tags(2)('a,b,c'), 'At most 2 tags are allowed');
+    assert.ok(tags(2)('no spaces allowed'));
+    assert.strictEqual(tags(2)([1]), 'Tags must be text');
+});
+
+test('username rules apply to new usernames only', async () => {
+    assert.ok(username()('John Doe'));
+    assert.ok(profileValidation.checkNewUsername('John Doe'));
+    assert.strictEqual(profileValidation.checkNewUsername('feed'), 'This username is reserved');
+    assert.strictEqual(profileValidation.checkNewUsername('john.doe'), undefined);
+    //looking up an older profile still works
+    const err = await run(profileValidation.username, { params: { username: 'John Doe' } });
+    assert.strictEqual(err, undefined);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('assert');
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const Question = require('../models/Question');
+const { currentVote, castVote, retractVote, recomputeScore, saveVote, stampFirstUpvote } = require('../utils/votes');
+
+let available = false;
+test.before(async () => {
+    available = await db.connect();
+});
+test.after(() => db.disconnect());
+test.beforeEach(() => available && db.clear(Question));
+
+const post = () => ({ upvotes: [], downvotes: [], score: 0 });
+
+test('castVote adds an upvote and counts it in the score', () => {
+    const doc = post();
+    assert.strictEqual(castVote(doc, 'a', 'up'), true);
+    assert.strictEqual(currentVote(doc, 'a'), 'up');
+    assert.strictEqual(doc.score, 1);
+});
+
+test('castVote refuses the same vote twice', () => {
+    const doc = post();
+    castVote(doc, 'a', 'down');
+    assert.strictEqual(castVote(doc, 'a', 'down'), false);
+    assert.strictEqual(doc.downvotes.length, 1);
+    assert.strictEqual(doc.score, -1);
+});
+
+test('castVote switches sides instead of counting both', () => {
+    const doc = post();
+    castVote(doc, 'a', 'up');
+    castVote(doc, 'b', 'up');
+    assert.strictEqual(castVote(doc, 'a', 'down'), true);
+    assert.strictEqual(currentVote(doc, 'a'), 'down');
+    assert.strictEqual(doc.upvotes.length, 1);
+    assert.strictEqual(doc.downvotes.length, 1);
+    assert.strictEqual(doc.score, 0);
+});
+
+test('retractVote takes back a vote and fails without one', () => {
+    const doc = post();
+    castVote(doc, 'a', 'up');
+    assert.strictEqual(retractVote(doc, 'a'), true);
+    assert.strictEqual(currentVote(doc, 'a'), null);
+    assert.strictEqual(doc.score, 0);
+    assert.strictEqual(retractVote(doc, 'a'), false);
+});
+
+test('votes match users by id whatever their type', () => {
+    const id = { toString: () => 'a' };
+    const doc = post();
+    castVote(doc, id, 'up');
+    assert.strictEqual(currentVote(doc, 'a'), 'up');
+});
+
+test('recomputeScore is upvotes minus downvotes', () => {
+    const doc = { upvotes: [{ user: 'a' }, { user: 'b' }], downvotes: [{ user: 'c' }], score: 7 };
+    assert.strictEqual(recomputeScore(doc), 1);
+    assert.strictEqual(doc.score, 1);
+});
+
+test('votes cast at the same time are all stored', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const question = await new Question({ user: new mongoose.Types.ObjectId(), textone: 't', texttwo: 'b' }).save();
+    const voters = [1, 2, 3, 4, 5].map(() => new mongoose.Types.ObjectId());
+    const stored = await Promise.all(voters.map(userId =>
+        saveVote({ question, userId, previous: null, direction: 'up' })));
+    assert.deepStrictEqual(stored, [true, true, true, true, true]);
+
+    const saved = await Question.findById(question._id);
+    assert.strictEqual(saved.upvotes.length, 5);
+    assert.strictEqual(saved.score, 5);
+});
+
+test('a vote is refused once the stored vote changed', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const userId = new mongoose.Types.ObjectId();
+    const question = await new Question({
+        user: new mongoose.Types.ObjectId(),
+        textone: 't',
+        texttwo: 'b',
+        answers: [{ user: new mongoose.Types.ObjectId(), text: 'a' }]
+    }).save();
+    const answer = question.answers[0];
+
+    assert.strictEqual(await saveVote({ question, answer, userId, previous: null, direction: 'up' }), true);
+    //a second request loaded the answer before the first vote landed
+    assert.strictEqual(await saveVote({ question, answer, userId, previous: null, direction: 'up' }), false);
+    assert.strictEqual(await saveVote({ question, answer, userId, previous: 'up', direction: 'down' }), true);
+
+    const saved = (await Question.findById(question._id)).answers[0];
+    assert.strictEqual(currentVote(saved, userId), 'down');
+    assert.strictEqual(saved.upvotes.length, 0);
+    assert.strictEqual(saved.score, -1);
+});
+
+test('only the first upvote of a user counts as activity', async t => {
+    if(!available) return t.skip('no MongoDB');
+    const userId = new mongoose.Types.ObjectId();
+    const question = await new Question({
+        user: new mongoose.Types.ObjectId(),
+        textone: 't',
+        texttwo: 'b',
+        answers: [{ user: new mongoose.Types.ObjectId(), text: 'a' }]
+    }).save();
+    const answer = question.answers[0];
+    const first = new Date('2030-01-01');
+
+    assert.strictEqual(await stampFirstUpvote({ question, answer, userId, now: first }), true);
+    //upvoting again after a retraction
+    assert.strictEqual(await stampFirstUpvote({ question, answer, userId, now: new Date('2030-01-02') }), false);
+    assert.strictEqual(await stampFirstUpvote({ question, userId, now: new Date('2030-01-03') }), true);
+    assert.strictEqual(await stampFirstUpvote({ question, userId, now: new Date('2030-01-04') }), false);
+
+    const saved = await Question.findById(question._id);
+    assert.deepStrictEqual(saved.lastactivity, new Date('2030-01-03'));
+});
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const reputation = require('./reputation');
+const { currentVote } = require('./votes');
+const { removeAvatar } = require('./avatars');
+const { DELETED_USER } = require('./constants');
+
+//load Person Model
+const Person = require('../models/Person');
+
+//Load Profile Model
+const Profile = require('../models/Profile');
+
+//Load Question Model
+const Question = require('../models/Question');
+
+const Activity = require('../models/Activity');
+const Flag = require('../models/Flag');
+const Notification = require('../models/Notification');
+const RefreshToken = require('../models/RefreshToken');
+const Reputation = require('../models/Reputation');
+
+//find or create the deleted user, marking one made before `system` existed
+const deletedUser = session => Person.findOneAndUpdate(
+    { email: DELETED_USER.email },
+    { $set: { system: true }, $setOnInsert: { name: DELETED_USER.name, password: DELETED_USER.password } },
+    { upsert: true, new: true, session }
+);
+
+//update pipeline stages dropping the votes of userId from the questions
+//and every answer list, with the scores recounted
+const withoutVotes = userId => {
+    const without = list => ({
+        $filter: { input: { $ifNull: [list, []] }, cond: { $ne: ['$$this.user', userId] } }
+    });
+    const score = (up, down) => ({ $subtract: [{ $size: up }, { $size: down }] });
+    const answers = list => ({
+        $map: {
+            input: { $ifNull: [list, []] },
+            as: 'answer',
+            in: { $let: {
+                vars: { up: without('$$answer.upvotes'), down: without('$$answer.downvotes') },
+                in: { $mergeObjects: ['$$answer', { upvotes: '$$up', downvotes: '$$down', score: score('$$up', '$$down') }] }
+            } }
+        }
+    });
+    return [
+        { $set: {
+            upvotes: without('$upvotes'),
+            downvotes: without('$downvotes'),
+            answers: answers('$answers'),
+            removedanswers: answers('$removedanswers')
+        } },
+        { $set: { score: score('$upvotes', '$downvotes') } }
+    ];
+};
+
+//forget that userId ever upvoted, see stampFirstUpvote in utils/votes
+const withoutUpvoters = async (userId, session) => {
+    for(const list of ['', 'answers.$[].', 'removedanswers.$[].']){
+        await Question.updateMany(
+            { [`${list.replace('.$[]', '')}upvotedby`]: userId },
+            { $pull: { [`${list}upvotedby`]: userId } },
+            { session }
+        );
+    }
+};
+
+//any vote of userId on a question or its answers, removed ones included
+const votedBy = userId => ({
+    $or: [
+        { 'upvotes.user': userId },
+        { 'downvotes.user': userId },
+        { 'answers.upvotes.user': userId },
+        { 'answers.downvotes.user': userId },
+        { 'removedanswers.upvotes.user': userId },
+        { 'removedanswers.downvotes.user': userId }
+    ]
+});
+
+//take back the reputation the standing votes of userId gave others. On
+//removed posts it was already taken back, there the votes are only kept
+//out of what a restore gives back
+const revokeVotes = async (userId, session) => {
+    const voted = await Question.find(votedBy(userId)).session(session);
+    for(const question of voted){
+        const posts = [{ post: question, removed: question.deleted }]
+            .concat(question.answers.map(post => ({ post, removed: question.deleted })))
+            .concat(question.removedanswers.map(post => ({ post, removed: true })));
+        for(const { post, removed } of posts){
+            const previous = currentVote(post, userId);
+            if(!previous) continue;
+            const answer = post === question ? null : post;
+            if(removed){
+                await reputation.forVoteOnRemoved({ question, answer, voter: userId, previous, session });
+            } else {
+                await reputation.forVote({ question, answer, voter: userId, previous, direction: null, session });
+            }
+        }
+    }
+};
+
+//hand every question, answer and comment of userId over to the deleted user
+const anonymize = async (userId, ghost, session) => {
+    const name = DELETED_USER.name;
+    await Question.updateMany({ user: userId }, { $set: { user: ghost._id, name } }, { session });
+    for(const list of ['answers', 'removedanswers']){
+        await Question.updateMany(
+            { [`${list}.user`]: userId },
+            { $set: { [`${list}.$[post].user`]: ghost._id, [`${list}.$[post].name`]: name } },
+            { session, arrayFilters: [{ 'post.user': userId }] }
+        );
+    }
+    for(const list of ['comments', 'answers.$[].comments', 'removedanswers.$[].comments']){
+        const path = list.replace('.$[]', '');
+        await Question.updateMany(
+            { [`${path}.user`]: userId },
+            { $set: { [`${list}.$[comment].user`]: ghost._id, [`${list}.$[comment].name`]: name } },
+            { session, arrayFilters: [{ 'comment.user': userId }] }
+        );
+        //mentions of the person point at nobody now, comments of anyone
+        await Question.updateMany(
+            { [`${path}.mentions.user`]: userId },
+            { $pull: { [`${list}.$[].mentions`]: { user: userId } } },
+            { session }
+        );
+    }
+    //reports stay in the moderation history
+    await Flag.updateMany({ user: userId }, { $set: { user: ghost._id } }, { session });
+};
+
+//delete the account of person in one transaction: their questions, answers
+//and comments stay under the deleted user, their votes are removed with the
+//reputation they gave, everything else that belongs to them goes away.
+//Needs MongoDB running as a replica set, transactions do not work otherwise
+const deleteAccount = async person => {
+    const userId = person._id;
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            const ghost = await deletedUser(session);
+            await revokeVotes(userId, session);
+            await Question.updateMany(votedBy(userId), withoutVotes(userId), { session });
+            await withoutUpvoters(userId, session);
+            await anonymize(userId, ghost, session);
+
+            //the social graph of others
+            await Profile.updateMany({ 'follows.user': userId }, { $pull: { follows: { user: userId } } }, { session });
+            await Profile.updateMany({ 'followers.user': userId }, { $pull: { followers: { user: userId } } }, { session });
+
+            await Activity.deleteMany({ actor: userId }, { session });
+            await Notification.deleteMany({ user: userId }, { session });
+            await RefreshToken.deleteMany({ user: userId }, { session });
+            await Reputation.deleteMany({ user: userId }, { session });
+            await Profile.deleteOne({ user: userId }, { session });
+            await Person.deleteOne({ _id: userId }, { session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    //files are not part of the transaction, a leftover avatar is only noise
+    if(person.avatar && person.avatar.key){
+        await removeAvatar(person.avatar.key)
+            .catch(err => logger.warn('Unable to remove avatar', { error: logger.describeError(err) }));
+    }
+};
+
+module.exports = {
+    deleteAccount
+};
@@ -0,0 +1,39 @@
+const logger = require('./logger');
+
+//Load Activity Model
+const Activity = require('../models/Activity');
+
+//the post fields of an entry, answer stays empty for the question itself
+const target = ({ question, answer }) => ({
+    question: question._id || question,
+    answer: answer ? answer._id || answer : null
+});
+
+//note that actor did type ('question', 'answer', 'upvote' or 'downvote') on a question
+//or one of its answers. The feeds can live with a missing entry, so
+//failures here and below are logged instead of passed on
+const record = ({ actor, type, question, answer }) => {
+    return new Activity(Object.assign({ actor, type }, target({ question, answer })))
+        .save()
+        .catch(err => logger.warn('Unable to record activity', { error: logger.describeError(err) }));
+};
+
+//take back an entry, e.g. when an upvote is retracted
+const undo = ({ actor, type, question, answer }) => {
+    return Activity.deleteMany(Object.assign({ actor, type }, target({ question, answer })))
+        .catch(err => logger.warn('Unable to remove activity', { error: logger.describeError(err) }));
+};
+
+//drop every entry on a deleted question, answers included, or on one
+//deleted answer, so feeds do not point at posts that are gone
+const forget = ({ question, answer }) => {
+    const filter = answer ? target({ question, answer }) : { question: question._id || question };
+    return Activity.deleteMany(filter)
+        .catch(err => logger.warn('Unable to remove activity', { error: logger.describeError(err) }));
+};
+
+module.exports = {
+    record,
+    undo,
+    forget
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+
+//square thumbnails in pixels, medium is the one used as profilepic
+const SIZES = {
+    small: 48,
+    medium: 128,
+    large: 256
+};
+
+//what the decoder has to find in the file, the upload's content type is
+//only what the client claims
+const FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+//decompression bombs are refused before they are decoded
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+const fileKey = (key, size) => `${key}-${size}.webp`;
+
+//resize an uploaded image into every thumbnail size and store them.
+//Resolves to { key, small, medium, large } with the urls of each size and
+//key naming the set for removeAvatar, or to null when buffer is not a
+//supported image
+const saveAvatar = (userId, buffer) => {
+    const image = sharp(buffer, { limitInputPixels: MAX_PIXELS });
+    return image.metadata()
+        .then(meta => {
+            if(!FORMATS.includes(meta.format)) return null;
+            return Promise.all(Object.keys(SIZES).map(size =>
+                image.clone()
+                    //honour the camera orientation before cropping
+                    .rotate()
+                    .resize(SIZES[size], SIZES[size], { fit: 'cover' })
+                    .webp({ quality: 85 })
+                    .toBuffer()
+            ));
+        })
+        //corrupt or truncated files fail to decode
+        .catch(() => null)
+        .then(thumbnails => {
+            if(!thumbnails) return null;
+            const key = `avatars/${userId}-${crypto.randomBytes(8).toString('hex')}`;
+            const sizes = Object.keys(SIZES);
+            return Promise.all(sizes.map((size, index) =>
+                storage.save(fileKey(key, size), thumbnails[index], 'image/webp')
+            ))
+                .then(urls => {
+                    const avatar = { key };
+                    sizes.forEach((size, index) => avatar[size] = urls[index]);
+                    return avatar;
+                });
+        });
+};
+
+//delete every thumbnail of a stored avatar
+const removeAvatar = key => Promise.all(Object.keys(SIZES).map(size => storage.remove(fileKey(key, size))));
+
+module.exports = {
+    SIZES,
+    saveAvatar,
+    removeAvatar
+};
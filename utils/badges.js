@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+//Load Profile Model
+const Profile = require('../models/Profile');
+
+//Load Question Model
+const Question = require('../models/Question');
+
+//every badge a user can earn, `earned` gets the stats from userStats
+const BADGES = [
+    {
+        key: 'first-question',
+        name: 'Student',
+        description: 'Asked a first question',
+        earned: stats => stats.questions >= 1
+    },
+    {
+        key: 'curious',
+        name: 'Curious',
+        description: 'Asked 10 questions',
+        earned: stats => stats.questions >= 10
+    },
+    {
+        key: 'upvoted-questions-10',
+        name: 'Good Questions',
+        description: 'Has 10 questions with at least one upvote',
+        earned: stats => stats.upvotedquestions >= 10
+    },
+    {
+        key: 'first-answer',
+        name: 'Helper',
+        description: 'Posted a first answer',
+        earned: stats => stats.answers >= 1
+    },
+    {
+        key: 'first-accepted',
+        name: 'Scholar',
+        description: 'Had an answer accepted',
+        earned: stats => stats.accepted >= 1
+    },
+    {
+        key: 'nice-answer',
+        name: 'Nice Answer',
+        description: 'Answer reached a score of 10',
+        earned: stats => stats.bestanswer >= 10
+    },
+    {
+        key: 'first-vote',
+        name: 'Supporter',
+        description: 'Cast a first vote',
+        earned: stats => stats.votes >= 1
+    }
+];
+
+//activity counts of a user over all questions
+const userStats = userId => {
+    const id = mongoose.Types.ObjectId(userId.toString());
+    return Promise.all([
+        Question.countDocuments({ user: id }),
+        Question.countDocuments({ user: id, 'upvotes.0': { $exists: true } }),
+        Question.aggregate([
+            { $match: { 'answers.user': id } },
+            { $unwind: '$answers' },
+            { $match: { 'answers.user': id } },
+            { $group: {
+                _id: null,
+                answers: { $sum: 1 },
+                accepted: { $sum: { $cond: ['$answers.accepted', 1, 0] } },
+                bestanswer: { $max: '$answers.score' }
+            } }
+        ]),
+        Question.countDocuments({ $or: [
+            { 'upvotes.user': id },
+            { 'downvotes.user': id },
+            { 'answers.upvotes.user': id },
+            { 'answers.downvotes.user': id }
+        ] })
+    ])
+        .then(([questions, upvotedquestions, answerStats, votes]) => {
+            const answers = answerStats[0] || { answers: 0, accepted: 0, bestanswer: 0 };
+            return {
+                questions,
+                upvotedquestions,
+                answers: answers.answers,
+                accepted: answers.accepted,
+                bestanswer: answers.bestanswer || 0,
+                votes
+            };
+        });
+};
+
+//award any badges the users have earned but not received yet, users
+//without a profile are skipped. Failures are only logged, whatever was
+//missed gets awarded on the user's next check
+const check = (...userIds) => {
+    const unique = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+    return Promise.all(unique.map(userId =>
+        Profile.findOne({ user: userId })
+            .then(profile => {
+                if(!profile) return null;
+                return userStats(userId)
+                    .then(stats => {
+                        const owned = profile.badges.map(badge => badge.key);
+                        const fresh = BADGES.filter(badge => !owned.includes(badge.key) && badge.earned(stats));
+                        if(!fresh.length) return profile;
+                        fresh.forEach(badge => profile.badges.push({ key: badge.key, name: badge.name }));
+                        return profile.save();
+                    });
+            })
+    ))
+        .catch(err => logger.warn('Unable to award badges', { error: logger.describeError(err) }));
+};
+
+module.exports = {
+    BADGES,
+    check
+};
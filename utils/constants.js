@@ -0,0 +1,11 @@
+//values shared by modules that should not have to load each other
+
+//content of deleted accounts moves to this person. It is a system account,
+//so login and password resets refuse it
+const DELETED_USER = {
+    name: 'deleted user',
+    email: 'deleted-user@bigstack.invalid',
+    password: '!'
+};
+
+module.exports = { DELETED_USER };
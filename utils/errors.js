@@ -0,0 +1,57 @@
+//typed application errors, thrown from routes and turned into JSON
+//responses by middleware/errorHandler. `errors` keeps the flat
+//{ field: message } shape the API has always answered with
+
+class AppError extends Error {
+    constructor(status, errors, message){
+        const body = typeof errors === 'string' ? { error: errors } : errors;
+        super(message || Object.values(body)[0] || 'Application error');
+        this.name = this.constructor.name;
+        this.status = status;
+        this.errors = body;
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(errors){ super(400, errors); }
+}
+
+//field level input errors from the validation layer
+class ValidationError extends AppError {
+    constructor(errors){ super(400, errors); }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(errors = { unauthorized: 'Authentication required' }){ super(401, errors); }
+}
+
+class ForbiddenError extends AppError {
+    constructor(errors = { forbidden: 'You are not allowed to do this' }){ super(403, errors); }
+}
+
+class NotFoundError extends AppError {
+    constructor(errors = { notfound: 'Not found' }){ super(404, errors); }
+}
+
+class ConflictError extends AppError {
+    constructor(errors){ super(409, errors); }
+}
+
+//retryAfter is in seconds and ends up in the Retry-After header
+class TooManyRequestsError extends AppError {
+    constructor(errors = { toomanyrequests: 'Too many requests, please slow down' }, retryAfter){
+        super(429, errors);
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError
+};
@@ -0,0 +1,34 @@
+const config = require('../setup/config');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+//one JSON object per line, easy to grep and to ship to a log service
+const write = (level, message, fields = {}) => {
+    if(LEVELS.indexOf(level) < LEVELS.indexOf(config.logLevel)) return;
+    const line = JSON.stringify(Object.assign({
+        level,
+        time: new Date().toISOString(),
+        message
+    }, fields));
+    if(level === 'error' || level === 'warn'){
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+};
+
+//plain objects for errors, JSON.stringify drops their fields otherwise
+const describeError = err => ({
+    name: err.name,
+    message: err.message,
+    stack: err.stack
+});
+
+module.exports = {
+    LEVELS,
+    describeError,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../setup/config');
+
+//a transport is any object with send(message) returning a promise,
+//message is { to, subject, text }
+
+//prints mails to the console, handy in development
+const consoleTransport = {
+    send: message => {
+        console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return Promise.resolve(message);
+    }
+};
+
+//writes every mail as a json file into dir, handy for tests
+const fileTransport = dir => ({
+    send: message => {
+        const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2)}.json`);
+        return fs.promises.mkdir(dir, { recursive: true })
+            .then(() => fs.promises.writeFile(file, JSON.stringify(message, null, 2)))
+            .then(() => message);
+    }
+});
+
+//sends through an smtp server given as smtp(s)://user:pass@host:port
+const smtpTransport = (url, from) => {
+    const mailer = nodemailer.createTransport(url);
+    return {
+        send: message => mailer.sendMail(Object.assign({ from }, message)).then(() => message)
+    };
+};
+
+const defaultTransport = () => {
+    if(config.mail.transport === 'file'){
+        return fileTransport(config.mail.dir);
+    }
+    if(config.mail.transport === 'smtp'){
+        return smtpTransport(config.mail.smtpURL, config.mail.from);
+    }
+    return consoleTransport;
+};
+
+let transport = defaultTransport();
+
+//swap the transport, e.g. for one backed by an SMTP library
+const use = newTransport => {
+    transport = newTransport;
+};
+
+const send = message => transport.send(message);
+
+module.exports = {
+    use,
+    send,
+    consoleTransport,
+    fileTransport,
+    smtpTransport
+};
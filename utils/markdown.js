@@ -0,0 +1,46 @@
+const { marked } = require('marked');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+
+//github flavoured markdown, fenced code blocks get highlighted on the
+//server when their language is known and stay plain otherwise
+const MARKED_OPTIONS = {
+    gfm: true,
+    headerIds: false,
+    mangle: false,
+    langPrefix: 'hljs language-',
+    highlight: (code, lang) => {
+        if(lang && hljs.getLanguage(lang)){
+            return hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
+        }
+    }
+};
+
+//what survives sanitizing, everything else is dropped with its content
+//for script like tags and unwrapped for the rest
+const SANITIZE_OPTIONS = {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'del', 'h1', 'h2']),
+    allowedAttributes: {
+        a: ['href', 'title', 'rel'],
+        img: ['src', 'alt', 'title'],
+        th: ['align'],
+        td: ['align']
+    },
+    allowedClasses: {
+        code: ['hljs', 'language-*'],
+        span: ['hljs-*']
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowProtocolRelative: false,
+    transformTags: {
+        //links are user content, search engines should not follow them
+        a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener' })
+    }
+};
+
+//turn markdown source into HTML that is safe to print unescaped
+const render = source => sanitizeHtml(marked.parse(String(source || ''), MARKED_OPTIONS), SANITIZE_OPTIONS);
+
+module.exports = {
+    render
+};
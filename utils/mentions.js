@@ -0,0 +1,32 @@
+//Load Profile Model
+const Profile = require('../models/Profile');
+
+//the @ has to start the text or follow something that can not be part of
+//a name, so the domain of an email address is not taken for a mention
+const MENTION = /(?<![A-Za-z0-9_.-])@([A-Za-z0-9_.-]+)/g;
+
+//pull @username mentions out of text, without duplicates
+const parseMentions = text => {
+    const usernames = [];
+    let match;
+    while((match = MENTION.exec(text)) !== null){
+        //a trailing dot is punctuation, not part of the name
+        const username = match[1].replace(/\.+$/, '');
+        if(username && !usernames.includes(username)) usernames.push(username);
+    }
+    return usernames;
+};
+
+//resolve mentions against Profile.username, unknown names are dropped
+//resolves to [{ user, username }]
+const resolveMentions = text => {
+    const usernames = parseMentions(text);
+    if(!usernames.length) return Promise.resolve([]);
+    return Profile.find({ username: { $in: usernames } })
+        .then(profiles => profiles.map(profile => ({
+            user: profile.user,
+            username: profile.username
+        })));
+};
+
+module.exports = { parseMentions, resolveMentions };
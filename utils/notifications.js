@@ -0,0 +1,44 @@
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+//Load Notification Model
+const Notification = require('../models/Notification');
+
+//live listeners of this process, keyed by user id. With several
+//processes only the one holding the connection pushes, the stored
+//notification is there for everybody either way
+const channel = new EventEmitter();
+channel.setMaxListeners(0);
+
+//listen for new notifications of userId, returns the function that stops listening
+const subscribe = (userId, listener) => {
+    const event = userId.toString();
+    channel.on(event, listener);
+    return () => channel.off(event, listener);
+};
+
+const unreadCount = userId => Notification.countDocuments({ user: userId, read: null });
+
+//store and push notifications, one per entry of
+//{ user, type, actor, actorname, question, answer, text }.
+//Nobody is notified about their own doing. A failure is logged and
+//swallowed, a lost notification must not fail the post that caused it
+const notify = (...entries) => {
+    const fresh = entries.filter(entry =>
+        entry && entry.user && (!entry.actor || entry.user.toString() !== entry.actor.toString()));
+    return Promise.all(fresh.map(entry =>
+        new Notification(entry).save()
+            .then(notification => unreadCount(notification.user)
+                .then(unread => {
+                    channel.emit(notification.user.toString(), { notification, unread });
+                    return notification;
+                }))
+    ))
+        .catch(err => logger.warn('Unable to send notifications', { error: logger.describeError(err) }));
+};
+
+module.exports = {
+    notify,
+    subscribe,
+    unreadCount
+};
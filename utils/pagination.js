@@ -0,0 +1,30 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+//whole number above 0 from a query string value, fallback otherwise
+const toPositiveInt = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return number > 0 ? number : fallback;
+};
+
+//page and limit from query string, limit is capped at MAX_LIMIT
+const pageParams = params => {
+    const page = toPositiveInt(params.page, 1);
+    const limit = Math.min(toPositiveInt(params.limit, DEFAULT_LIMIT), MAX_LIMIT);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+//paging metadata every listing answers with
+const pagination = (page, limit, total) => {
+    const pages = Math.ceil(total / limit);
+    return {
+        page,
+        limit,
+        total,
+        pages,
+        hasnext: page < pages,
+        hasprev: page > 1
+    };
+};
+
+module.exports = { toPositiveInt, pageParams, pagination };
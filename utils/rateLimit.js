@@ -0,0 +1,56 @@
+//a store is any object with
+//  hit(key, windowMs)  counts a hit in the fixed window of key and returns
+//                      a promise of { count, reset }, reset being the time
+//                      in ms the window ends
+//  reset(key)          forgets key, returns a promise
+//so buckets can live in redis or mongo once the app runs on several processes
+
+//keeps buckets in a Map of this process
+const memoryStore = () => {
+    const buckets = new Map();
+
+    //drop ended windows now and then so the map does not grow forever
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        buckets.forEach((bucket, key) => {
+            if(bucket.reset <= now) buckets.delete(key);
+        });
+    }, 60 * 1000);
+    //never keep the process alive just for this
+    sweep.unref();
+
+    return {
+        hit: (key, windowMs) => {
+            const now = Date.now();
+            let bucket = buckets.get(key);
+            if(!bucket || bucket.reset <= now){
+                bucket = { count: 0, reset: now + windowMs };
+                buckets.set(key, bucket);
+            }
+            bucket.count++;
+            return Promise.resolve({ count: bucket.count, reset: bucket.reset });
+        },
+        reset: key => {
+            buckets.delete(key);
+            return Promise.resolve();
+        }
+    };
+};
+
+let store = memoryStore();
+
+//swap the store, e.g. for one shared between processes
+const use = newStore => {
+    store = newStore;
+};
+
+const hit = (key, windowMs) => store.hit(key, windowMs);
+
+const reset = key => store.reset(key);
+
+module.exports = {
+    use,
+    hit,
+    reset,
+    memoryStore
+};
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+//Load Profile Model
+const Profile = require('../models/Profile');
+
+//Load Reputation Model
+const Reputation = require('../models/Reputation');
+
+const POINTS = {
+    questionupvote: 5,
+    answerupvote: 10,
+    downvote: -2,
+    accepted: 15
+};
+
+//entries written when posts are removed or brought back
+const REMOVAL_REASONS = ['question deleted', 'answer deleted', 'question restored', 'answer restored'];
+
+const sameUser = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+//points a single vote is worth to the author of the post
+const voteValue = (direction, isAnswer) => {
+    if(direction === 'up') return isAnswer ? POINTS.answerupvote : POINTS.questionupvote;
+    if(direction === 'down') return POINTS.downvote;
+    return 0;
+};
+
+//store reputation entries and bump the profile totals, entries with no
+//points are skipped. session is an optional mongo session for transactions,
+//which take one operation at a time, so entries are stored in turn
+const record = (entries, session) => {
+    entries = entries.filter(entry => entry.user && entry.amount !== 0);
+    return entries.reduce((saved, entry) => saved.then(list =>
+        new Reputation(entry).save({ session })
+            .then(() => Profile.updateOne({ user: entry.user }, { $inc: { reputation: entry.amount } }, { session }))
+            .then(result => list.concat([result]))
+    ), Promise.resolve([]));
+};
+
+//reputation for the author of a question or answer after a vote moved
+//from `previous` to `direction` ('up', 'down' or null), voting on your
+//own post does not count
+const forVote = ({ question, answer, voter, previous, direction, session }) => {
+    const post = answer || question;
+    if(sameUser(post.user, voter)) return Promise.resolve([]);
+    const kind = answer ? 'answer' : 'question';
+    return record([{
+        user: post.user,
+        amount: voteValue(direction, Boolean(answer)) - voteValue(previous, Boolean(answer)),
+        reason: direction ? `${kind} ${direction}voted` : `${kind} vote retracted`,
+        actor: voter,
+        question: question._id,
+        answer: answer ? answer._id : undefined
+    }], session);
+};
+
+//a vote taken back while its post is removed, whose points were already
+//revoked with the post. The retraction counts as earned, so a restore does
+//not give the vote back, and a removal entry offsets it until then
+const forVoteOnRemoved = ({ question, answer, voter, previous, session }) => {
+    const post = answer || question;
+    if(sameUser(post.user, voter)) return Promise.resolve([]);
+    const kind = answer ? 'answer' : 'question';
+    const amount = -voteValue(previous, Boolean(answer));
+    const entry = {
+        user: post.user,
+        actor: voter,
+        question: question._id,
+        answer: answer ? answer._id : undefined
+    };
+    return record([
+        Object.assign({ amount, reason: `${kind} vote retracted` }, entry),
+        Object.assign({ amount: -amount, reason: `${kind} deleted` }, entry)
+    ], session);
+};
+
+//reputation for the author of an answer being accepted or un-accepted,
+//accepting your own answer does not count
+const forAccept = ({ question, answer, accepted, actor }) => {
+    if(sameUser(answer.user, actor)) return Promise.resolve([]);
+    return record([{
+        user: answer.user,
+        amount: accepted ? POINTS.accepted : -POINTS.accepted,
+        reason: accepted ? 'answer accepted' : 'answer unaccepted',
+        actor,
+        question: question._id,
+        answer: answer._id
+    }]);
+};
+
+//take back everything earned on a deleted question (with all its answers)
+//or on a single deleted answer
+const revokeForPost = ({ question, answer, actor }) => {
+    const match = { question: question._id };
+    if(answer) match.answer = answer._id;
+    return Reputation.aggregate([
+        { $match: match },
+        { $group: { _id: '$user', amount: { $sum: '$amount' } } }
+    ])
+        .then(totals => record(totals.map(total => ({
+            user: total._id,
+            amount: -total.amount,
+            reason: answer ? 'answer deleted' : 'question deleted',
+            actor,
+            question: question._id,
+            answer: answer ? answer._id : undefined
+        }))));
+};
+
+//give back what was earned on a question or answer restored by a moderator,
+//i.e. everything except removals. Answers that are gone for good, or are
+//still removed on their own, stay out of a question restore
+const restoreForPost = ({ question, answer, actor }) => {
+    const match = answer
+        ? { question: question._id, answer: answer._id }
+        : { question: question._id, $or: [
+            { answer: null },
+            { answer: { $in: question.answers.map(item => item._id) } }
+        ] };
+    return Reputation.aggregate([
+        { $match: match },
+        { $group: {
+            _id: '$user',
+            total: { $sum: '$amount' },
+            earned: { $sum: { $cond: [{ $in: ['$reason', REMOVAL_REASONS] }, 0, '$amount'] } }
+        } }
+    ])
+        .then(totals => record(totals.map(total => ({
+            user: total._id,
+            amount: total.earned - total.total,
+            reason: answer ? 'answer restored' : 'question restored',
+            actor,
+            question: question._id,
+            answer: answer ? answer._id : undefined
+        }))));
+};
+
+//current total from the history, used when a profile is created
+//after reputation was already earned
+const totalFor = userId => {
+    return Reputation.aggregate([
+        { $match: { user: mongoose.Types.ObjectId(userId.toString()) } },
+        { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ])
+        .then(totals => totals.length ? totals[0].amount : 0);
+};
+
+module.exports = {
+    POINTS,
+    forVote,
+    forVoteOnRemoved,
+    forAccept,
+    revokeForPost,
+    restoreForPost,
+    totalFor
+};
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+//Load Profile Model
+const Profile = require('../models/Profile');
+
+//Load Question Model
+const Question = require('../models/Question');
+
+//tag helpers
+const { normalizeTags } = require('./tags');
+
+//paging helpers
+const { toPositiveInt, pageParams, pagination } = require('./pagination');
+
+//sort modes for question listings, `relevance` only applies to text search
+const SORTS = {
+    newest: { date: -1 },
+    upvoted: { score: -1, date: -1 },
+    answered: { answercount: -1, date: -1 },
+    unanswered: { date: -1 },
+    active: { lastactivity: -1, date: -1 },
+    relevance: { relevance: { $meta: 'textScore' }, date: -1 }
+};
+
+//`hot` ranks by points over age, age in hours since the question was asked:
+//  max(score + ANSWER_WEIGHT * answers + 1, 0) / (age + 2) ^ GRAVITY
+//so votes and answers lift a question and it sinks as it gets older. Age
+//does not restart with activity, a vote and its retraction change nothing
+const HOT_ANSWER_WEIGHT = 2;
+const HOT_GRAVITY = 1.5;
+const HOUR = 60 * 60 * 1000;
+
+const hotRank = now => ({
+    $divide: [
+        { $max: [0, { $add: [
+            { $ifNull: ['$score', 0] },
+            { $multiply: [HOT_ANSWER_WEIGHT, { $ifNull: ['$answercount', 0] }] },
+            1
+        ] }] },
+        { $pow: [
+            { $add: [{ $divide: [{ $subtract: [now, '$date'] }, HOUR] }, 2] },
+            HOT_GRAVITY
+        ] }
+    ]
+});
+
+//the hot rank is computed, so it needs an aggregation instead of a find
+const findHot = (filter, skip, limit) => {
+    return Question.aggregate([
+        { $match: filter },
+        { $addFields: { hot: hotRank(new Date()) } },
+        { $sort: { hot: -1, date: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { hot: 0 } }
+    ]).then(questions => questions.map(question => Question.hydrate(question)));
+};
+
+//author can be given as a user id or as a profile username. Only 24 hex
+//characters count as an id, ObjectId.isValid takes any 12 character string
+//and so would swallow usernames like johnsmith123
+const resolveAuthor = author => {
+    if(!author) return Promise.resolve(undefined);
+    if(validator.isMongoId(String(author))) return Promise.resolve(author);
+    return Profile.findOne({ username: author })
+        .then(profile => profile ? profile.user : null);
+};
+
+const toDate = value => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+};
+
+//build the mongo filter from query string params, resolves to null
+//when the filters can not match anything (unknown author)
+const buildFilter = params => {
+    return resolveAuthor(params.author)
+        .then(authorId => {
+            if(authorId === null) return null;
+
+            //questions removed by moderators never show up
+            const filter = { deleted: null };
+            if(params.q && params.q.trim()){
+                filter.$text = { $search: params.q.trim() };
+            }
+            //aggregations do not cast, so make it an ObjectId here
+            if(authorId) filter.user = new mongoose.Types.ObjectId(authorId);
+
+            const tags = normalizeTags(params.tags);
+            //an explicit empty list (profile without languages) matches nothing
+            if(Array.isArray(params.tags) && !tags.length) return null;
+            if(tags.length) filter.tags = { $in: tags };
+
+            const from = toDate(params.from);
+            const to = toDate(params.to);
+            if(from || to){
+                filter.date = {};
+                if(from) filter.date.$gte = from;
+                if(to) filter.date.$lte = to;
+            }
+
+            if(params.answered === 'true') filter['answers.0'] = { $exists: true };
+            if(params.answered === 'false' || params.sort === 'unanswered'){
+                filter['answers.0'] = { $exists: false };
+            }
+
+            const minupvotes = toPositiveInt(params.minupvotes, 0);
+            if(minupvotes > 0){
+                filter.$expr = { $gte: [{ $size: '$upvotes' }, minupvotes] };
+            }
+            return filter;
+        });
+};
+
+//list questions using query string params:
+//  q          - words to look for in title, body and answers
+//  author     - user id or username of the person who asked
+//  tags       - comma separated tags, any of them has to match
+//  from, to   - date range on the question date
+//  answered   - 'true' for answered only, 'false' for unanswered only
+//  minupvotes - minimum number of upvotes
+//  sort       - newest, upvoted, answered, unanswered, active or hot
+//  page,limit - which page to return and its size
+//resolves to { questions, pagination }, ranked by relevance when q is
+//given without an explicit sort, newest first otherwise
+const searchQuestions = params => {
+    const { page, limit, skip } = pageParams(params);
+    return buildFilter(params)
+        .then(filter => {
+            if(!filter) return [[], 0];
+
+            const textsearch = Boolean(filter.$text);
+            let mode = SORTS[params.sort] ? params.sort : (textsearch ? 'relevance' : 'newest');
+            if(mode === 'relevance' && !textsearch) mode = 'newest';
+            const projection = textsearch ? { relevance: { $meta: 'textScore' } } : {};
+
+            return Promise.all([
+                params.sort === 'hot'
+                    ? findHot(filter, skip, limit)
+                    : Question.find(filter, projection)
+                        .sort(SORTS[mode])
+                        .skip(skip)
+                        .limit(limit),
+                Question.countDocuments(filter)
+            ]);
+        })
+        .then(([questions, total]) => ({
+            questions,
+            pagination: pagination(page, limit, total)
+        }));
+};
+
+module.exports = { searchQuestions };
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../setup/config');
+
+//a backend is any object with
+//  save(key, buffer, contentType)  stores the file, resolves to its public url
+//  remove(key)                     deletes it, resolves even when it is gone
+//keys are relative paths like avatars/<name>.webp
+
+//keeps files under dir, served by the static route at baseUrl
+const localStorage = (dir, baseUrl) => {
+    const root = path.resolve(dir);
+    //keys are built by the app, still never let one leave the directory
+    const fileFor = key => {
+        const file = path.resolve(root, key);
+        if(!file.startsWith(root + path.sep)){
+            throw new Error(`Invalid storage key ${key}`);
+        }
+        return file;
+    };
+    return {
+        save: (key, buffer) => {
+            return Promise.resolve()
+                .then(() => fileFor(key))
+                .then(file => fs.promises.mkdir(path.dirname(file), { recursive: true })
+                    .then(() => fs.promises.writeFile(file, buffer)))
+                .then(() => `${baseUrl}/${key}`);
+        },
+        remove: key => {
+            return Promise.resolve()
+                .then(() => fs.promises.unlink(fileFor(key)))
+                .catch(err => {
+                    if(err.code !== 'ENOENT') throw err;
+                });
+        }
+    };
+};
+
+let backend = localStorage(config.uploads.dir, config.uploads.url);
+
+//swap the backend, e.g. for one backed by object storage
+const use = newBackend => {
+    backend = newBackend;
+};
+
+const save = (key, buffer, contentType) => backend.save(key, buffer, contentType);
+
+const remove = key => backend.remove(key);
+
+module.exports = {
+    use,
+    save,
+    remove,
+    localStorage
+};
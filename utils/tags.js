@@ -0,0 +1,12 @@
+//turn tags from a request body (comma separated string or array)
+//into a clean list: trimmed, lowercase, no empties and no duplicates
+const normalizeTags = input => {
+    if(input == undefined) return [];
+    const list = Array.isArray(input) ? input : String(input).split(',');
+    const tags = list
+        .map(tag => String(tag).trim().toLowerCase())
+        .filter(tag => tag.length > 0);
+    return [...new Set(tags)];
+};
+
+module.exports = { normalizeTags };
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jsonwt = require('jsonwebtoken');
+const config = require('../setup/config');
+
+//Load Person Model
+const Person = require('../models/Person');
+
+//Load RefreshToken Model
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_LIFETIME = 3600; //seconds
+const REFRESH_TOKEN_LIFETIME = 30 * 24 * 3600 * 1000; //milliseconds
+
+//lifetimes of the tokens mailed for email verification and password reset
+const ACCOUNT_TOKEN_LIFETIME = {
+    verify: '1d',
+    reset: '1h'
+};
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+const randomToken = () => crypto.randomBytes(48).toString('hex');
+
+//short lived JWT for the Authorization header, `sid` ties it to a session
+const signAccessToken = (person, session) => {
+    const payload = {
+        id: person.id,
+        name: person.name,
+        sid: session.id
+    };
+    return jsonwt.sign(payload, config.secret, {expiresIn: ACCESS_TOKEN_LIFETIME});
+};
+
+//start a new session for person, resolves to { token, refreshtoken }
+const issueTokens = (person, useragent) => {
+    const refreshtoken = randomToken();
+    return new RefreshToken({
+        user: person.id,
+        tokenhash: hash(refreshtoken),
+        expires: new Date(Date.now() + REFRESH_TOKEN_LIFETIME),
+        useragent
+    })
+        .save()
+        .then(session => ({
+            token: signAccessToken(person, session),
+            refreshtoken
+        }));
+};
+
+//swap a refresh token for a new pair, resolves to null when the token is
+//unknown, expired or revoked. Reusing an old token revokes its session.
+//The swap is a single update, so of two refreshes racing with the same
+//token only one wins and the other counts as reuse
+const rotateTokens = refreshtoken => {
+    if(!refreshtoken) return Promise.resolve(null);
+    const tokenhash = hash(refreshtoken);
+    const next = randomToken();
+    return RefreshToken.findOneAndUpdate(
+        { tokenhash, revoked: null, expires: { $gt: Date.now() } },
+        {
+            $set: { tokenhash: hash(next), expires: new Date(Date.now() + REFRESH_TOKEN_LIFETIME) },
+            $push: { usedhashes: tokenhash }
+        },
+        { new: true }
+    )
+        .then(session => {
+            if(!session){
+                return RefreshToken.updateOne(
+                    { usedhashes: tokenhash, revoked: null },
+                    { $set: { revoked: Date.now() } }
+                ).then(() => null);
+            }
+            return Person.findById(session.user)
+                .then(person => {
+                    if(!person) return null;
+                    return {
+                        token: signAccessToken(person, session),
+                        refreshtoken: next
+                    };
+                });
+        });
+};
+
+//revoke one session of a user, or all of them when sid is not given
+const revokeSessions = (userId, sid) => {
+    const filter = { user: userId, revoked: null };
+    if(sid) filter._id = sid;
+    return RefreshToken.updateMany(filter, { $set: { revoked: Date.now() } });
+};
+
+//revoke the session of a refresh token, or every session of its user when
+//all is true. Works with an expired access token, resolves to false when
+//the refresh token is unknown or its session already ended
+const revokeByRefreshToken = (refreshtoken, all) => {
+    return RefreshToken.findOne({ tokenhash: hash(refreshtoken), revoked: null })
+        .then(session => {
+            if(!session) return false;
+            return revokeSessions(session.user, all ? undefined : session.id)
+                .then(() => true);
+        });
+};
+
+//used by the JWT strategy on every request
+const isSessionActive = sid => {
+    if(!sid) return Promise.resolve(false);
+    return RefreshToken.exists({ _id: sid, revoked: null, expires: { $gt: Date.now() } })
+        .then(session => Boolean(session));
+};
+
+//ties an account token to the current email or password, so a verify
+//token dies when the email changes and a reset token after one use
+const accountStamp = (person, purpose) => {
+    return hash(purpose === 'reset' ? person.password : person.email).slice(0, 16);
+};
+
+//signed, expiring token for the verify/reset mails
+const signAccountToken = (person, purpose) => {
+    return jsonwt.sign(
+        { id: person.id, purpose, stamp: accountStamp(person, purpose) },
+        config.secret,
+        { expiresIn: ACCOUNT_TOKEN_LIFETIME[purpose] }
+    );
+};
+
+//check an account token, resolves to its person or null when the token
+//is invalid, expired, meant for something else, already used up or for
+//a system account
+const redeemAccountToken = (token, purpose) => {
+    let payload;
+    try {
+        payload = jsonwt.verify(token || '', config.secret);
+    } catch(err) {
+        return Promise.resolve(null);
+    }
+    if(payload.purpose !== purpose) return Promise.resolve(null);
+    return Person.findById(payload.id)
+        .then(person => {
+            if(!person || person.system || accountStamp(person, purpose) !== payload.stamp) return null;
+            return person;
+        });
+};
+
+module.exports = {
+    signAccountToken,
+    redeemAccountToken,
+    issueTokens,
+    rotateTokens,
+    revokeSessions,
+    revokeByRefreshToken,
+    isSessionActive
+};
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+//Load Question Model
+const Question = require('../models/Question');
+
+//Load QuestionView Model
+const QuestionView = require('../models/QuestionView');
+
+//pages are public, so viewers are told apart by address and browser,
+//hashed to keep addresses out of the database
+const viewerKey = req => crypto.createHash('sha256')
+    .update(`${req.ip}|${req.get('User-Agent') || ''}`)
+    .digest('hex');
+
+//count a view of question unless the same viewer saw it within the last
+//day, resolves to true when counted. Failures are logged and never reject,
+//a lost view must not break showing the question
+const recordView = (question, req) => {
+    return QuestionView.create({ question: question._id, viewer: viewerKey(req) })
+        .then(() => Question.updateOne({ _id: question._id }, { $inc: { views: 1 } }))
+        .then(() => {
+            question.views = (question.views || 0) + 1;
+            return true;
+        })
+        .catch(err => {
+            //seen already, the unique index refused the entry
+            if(err.code !== 11000){
+                logger.warn('view count failed', { requestid: req.id, error: logger.describeError(err) });
+            }
+            return false;
+        });
+};
+
+module.exports = {
+    recordView
+};
@@ -0,0 +1,111 @@
+//helpers shared by question and answer voting,
+//`doc` is either a question or one of its answers
+
+//Load Question Model
+const Question = require('../models/Question');
+
+const POINTS = { up: 1, down: -1 };
+
+const byUser = userId => vote => vote.user.toString() === userId.toString();
+
+//find which way a user has voted on doc: 'up', 'down' or null
+const currentVote = (doc, userId) => {
+    if(doc.upvotes.some(byUser(userId))) return 'up';
+    if(doc.downvotes.some(byUser(userId))) return 'down';
+    return null;
+};
+
+const removeVote = (list, userId) => {
+    const removethis = list.findIndex(byUser(userId));
+    if(removethis !== -1){
+        list.splice(removethis, 1);
+    }
+};
+
+const recomputeScore = doc => {
+    doc.score = doc.upvotes.length - doc.downvotes.length;
+    return doc.score;
+};
+
+//cast an 'up' or 'down' vote, switching sides if user voted the other way
+//returns false when the same vote was already cast
+const castVote = (doc, userId, direction) => {
+    const previous = currentVote(doc, userId);
+    if(previous === direction){
+        return false;
+    }
+    if(previous){
+        removeVote(previous === 'up' ? doc.upvotes : doc.downvotes, userId);
+    }
+    (direction === 'up' ? doc.upvotes : doc.downvotes).unshift({ user: userId });
+    recomputeScore(doc);
+    return true;
+};
+
+//take back whatever vote user had cast, returns false if there was none
+const retractVote = (doc, userId) => {
+    const previous = currentVote(doc, userId);
+    if(!previous){
+        return false;
+    }
+    removeVote(previous === 'up' ? doc.upvotes : doc.downvotes, userId);
+    recomputeScore(doc);
+    return true;
+};
+
+//store a vote moving from `previous` to `direction` ('up', 'down' or null)
+//on a question, or on one of its answers, as one update guarded by the
+//vote the user had. Votes racing on the same post neither overwrite each
+//other nor trip the version check of a full save. Resolves to false when
+//the stored vote no longer is `previous`, the caller reloads and retries
+const saveVote = ({ question, answer, userId, previous, direction }) => {
+    const prefix = answer ? 'answers.$.' : '';
+    const guard = {};
+    if(previous){
+        guard[`${previous}votes.user`] = userId;
+    } else {
+        guard['upvotes.user'] = { $ne: userId };
+        guard['downvotes.user'] = { $ne: userId };
+    }
+    const filter = { _id: question._id, deleted: null };
+    if(answer){
+        filter.answers = { $elemMatch: Object.assign({ _id: answer._id }, guard) };
+    } else {
+        Object.assign(filter, guard);
+    }
+    const update = {
+        $inc: { [`${prefix}score`]: (POINTS[direction] || 0) - (POINTS[previous] || 0) }
+    };
+    if(previous){
+        update.$pull = { [`${prefix}${previous}votes`]: { user: userId } };
+    }
+    if(direction){
+        //newest vote first, like castVote
+        update.$push = { [`${prefix}${direction}votes`]: { $each: [{ user: userId }], $position: 0 } };
+    }
+    return Question.updateOne(filter, update)
+        .then(result => result.matchedCount === 1);
+};
+
+//move the question up the active listing for an upvote, unless the user
+//upvoted this post before. Resolves to true when it was the first upvote
+const stampFirstUpvote = ({ question, answer, userId, now }) => {
+    const set = { $set: { lastactivity: now } };
+    const update = answer
+        ? Question.updateOne(
+            { _id: question._id, answers: { $elemMatch: { _id: answer._id, upvotedby: { $ne: userId } } } },
+            Object.assign({ $push: { 'answers.$.upvotedby': userId } }, set))
+        : Question.updateOne(
+            { _id: question._id, upvotedby: { $ne: userId } },
+            Object.assign({ $push: { upvotedby: userId } }, set));
+    return update.then(result => result.matchedCount === 1);
+};
+
+module.exports = {
+    saveVote,
+    stampFirstUpvote,
+    currentVote,
+    castVote,
+    retractVote,
+    recomputeScore
+};
@@ -0,0 +1,46 @@
+const validate = require('./validate');
+const { required, text, email, strongPassword, length, boolean, noneOf } = require('./checks');
+const { DELETED_USER } = require('../utils/constants');
+
+module.exports = {
+    register: validate({
+        body: {
+            name: [required('Name is required'), text(), length(1, 50)],
+            email: [required('Email is required'), text(), email(), noneOf([DELETED_USER.email], 'This email is reserved')],
+            password: [required('Password is required'), text(), strongPassword()]
+        }
+    }),
+    login: validate({
+        body: {
+            email: [required('Email is required'), text(), email()],
+            password: [required('Password is required'), text()]
+        }
+    }),
+    refresh: validate({
+        body: {
+            refreshtoken: [required('Refresh token is required'), text()]
+        }
+    }),
+    logout: validate({
+        body: {
+            refreshtoken: [text()],
+            all: [boolean()]
+        }
+    }),
+    verify: validate({
+        params: {
+            token: [required('Verification token is required')]
+        }
+    }),
+    forgot: validate({
+        body: {
+            email: [required('Email is required'), text(), email()]
+        }
+    }),
+    reset: validate({
+        body: {
+            token: [required('Reset token is required'), text()],
+            password: [required('New password is required'), text(), strongPassword()]
+        }
+    })
+};
@@ -0,0 +1,101 @@
+const validator = require('validator');
+
+//every check takes the field value and returns an error message,
+//or nothing when the value is fine. Empty values only go through
+//`required`, everything else treats the field as optional. Lists and
+//objects are refused by validate unless a check is marked `list`
+
+const isEmpty = value => value === undefined || value === null || String(value).trim() === '';
+
+const required = (message = 'This field is required') => {
+    const check = value => isEmpty(value) ? message : undefined;
+    check.required = true;
+    return check;
+};
+
+//strings only, JSON bodies can carry numbers or booleans where text belongs
+const text = (message = 'Must be text') =>
+    value => typeof value === 'string' ? undefined : message;
+
+const email = (message = 'Email is invalid') =>
+    value => validator.isEmail(String(value)) ? undefined : message;
+
+//at least 8 characters with a lowercase and an uppercase letter and a number
+const strongPassword = (message = 'Password needs at least 8 characters with an uppercase letter, a lowercase letter and a number') =>
+    value => validator.isStrongPassword(String(value), {
+        minLength: 8,
+        minLowercase: 1,
+        minUppercase: 1,
+        minNumbers: 1,
+        minSymbols: 0
+    }) ? undefined : message;
+
+//3 to 30 letters, numbers, dots, dashes or underscores, starting with a letter or number
+const USERNAME = /^[A-Za-z0-9][A-Za-z0-9_.-]{2,29}$/;
+const username = (message = 'Username must be 3 to 30 letters, numbers, dots, dashes or underscores') =>
+    value => USERNAME.test(String(value)) ? undefined : message;
+
+const mongoId = (message = 'Invalid id') =>
+    value => validator.isMongoId(String(value)) ? undefined : message;
+
+const url = (message = 'Must be a valid URL') =>
+    value => validator.isURL(String(value)) ? undefined : message;
+
+const date = (message = 'Must be a valid date') =>
+    value => isNaN(new Date(value).getTime()) ? message : undefined;
+
+const length = (min, max, message) =>
+    value => validator.isLength(String(value).trim(), { min, max })
+        ? undefined
+        : message || `Must be between ${min} and ${max} characters`;
+
+const integer = (min, max, message) =>
+    value => validator.isInt(String(value), { min, max })
+        ? undefined
+        : message || `Must be a whole number between ${min} and ${max}`;
+
+const boolean = (message = 'Must be true or false') =>
+    value => validator.isBoolean(String(value)) ? undefined : message;
+
+const oneOf = (list, message) =>
+    value => list.includes(String(value)) ? undefined : message || `Must be one of ${list.join(', ')}`;
+
+//case insensitive, for words that are taken by routes
+const noneOf = (list, message = 'This value is reserved') =>
+    value => list.includes(String(value).toLowerCase()) ? message : undefined;
+
+//comma separated string or array, limited in count and shape of each entry
+const TAG = /^[a-z0-9][a-z0-9+#.-]{0,24}$/;
+const tags = (max = 5, message) => {
+    const check = value => {
+        const list = (Array.isArray(value) ? value : String(value).split(','));
+        if(!list.every(tag => typeof tag === 'string')) return 'Tags must be text';
+        const cleaned = list
+            .map(tag => tag.trim().toLowerCase())
+            .filter(tag => tag.length > 0);
+        if(cleaned.length > max) return `At most ${max} tags are allowed`;
+        if(!cleaned.every(tag => TAG.test(tag))){
+            return message || 'Tags can only have letters, numbers and + # . - and be at most 25 characters';
+        }
+    };
+    check.list = true;
+    return check;
+};
+
+module.exports = {
+    isEmpty,
+    required,
+    text,
+    email,
+    strongPassword,
+    username,
+    mongoId,
+    url,
+    date,
+    length,
+    integer,
+    boolean,
+    oneOf,
+    noneOf,
+    tags
+};
@@ -0,0 +1,57 @@
+const validate = require('./validate');
+const { required, text, mongoId, length, integer, oneOf } = require('./checks');
+
+const ids = {
+    id: [required(), mongoId()],
+    a_id: [mongoId()]
+};
+
+const paging = {
+    page: [integer(1, 100000)],
+    limit: [integer(1, 100)]
+};
+
+module.exports = {
+    ids: validate({ params: ids }),
+    //actions that can carry a note for the audit log
+    action: validate({
+        params: ids,
+        body: {
+            reason: [text(), length(1, 500)]
+        }
+    }),
+    close: validate({
+        params: ids,
+        body: {
+            reason: [required('Reason is required'), text(), length(1, 500)]
+        }
+    }),
+    flags: validate({
+        query: Object.assign({
+            status: [oneOf(['open', 'resolved', 'dismissed'])]
+        }, paging)
+    }),
+    handleFlag: validate({
+        params: {
+            f_id: [required(), mongoId()]
+        },
+        body: {
+            status: [required('Status is required'), oneOf(['resolved', 'dismissed'])],
+            reason: [text(), length(1, 500)]
+        }
+    }),
+    log: validate({
+        query: Object.assign({
+            moderator: [mongoId()],
+            action: [text(), length(1, 50)]
+        }, paging)
+    }),
+    role: validate({
+        params: {
+            user_id: [required(), mongoId()]
+        },
+        body: {
+            role: [required('Role is required'), oneOf(['user', 'moderator', 'admin'])]
+        }
+    })
+};
@@ -0,0 +1,17 @@
+const validate = require('./validate');
+const { required, mongoId, integer, boolean } = require('./checks');
+
+module.exports = {
+    listing: validate({
+        query: {
+            unread: [boolean()],
+            page: [integer(1, 100000)],
+            limit: [integer(1, 100)]
+        }
+    }),
+    ids: validate({
+        params: {
+            n_id: [required(), mongoId()]
+        }
+    })
+};
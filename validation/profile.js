@@ -0,0 +1,113 @@
+const validate = require('./validate');
+const { required, text, username, mongoId, url, date, length, integer, boolean, noneOf } = require('./checks');
+
+//paths under /api/profile that would shadow a user called like them
+const RESERVED_USERNAMES = ['bookmarks', 'feed', 'timeline'];
+
+//rules for a username being picked or changed. Profiles from before these
+//rules keep theirs, so lookups and resubmitting it unchanged skip them
+const NEW_USERNAME = [username(), noneOf(RESERVED_USERNAMES, 'This username is reserved')];
+
+//fields shared by adding and editing, the title field differs
+const dateFields = {
+    from: [date()],
+    to: [date()],
+    current: [boolean()],
+    details: [text(), length(1, 1000)]
+};
+
+const workroleFields = Object.assign({
+    company: [text(), length(1, 100)],
+    country: [text(), length(1, 60)]
+}, dateFields);
+
+const educationFields = Object.assign({
+    degree: [text(), length(1, 100)],
+    fieldofstudy: [text(), length(1, 100)]
+}, dateFields);
+
+//message for a username that can not be picked, or nothing
+const checkNewUsername = value => {
+    for(const check of NEW_USERNAME){
+        const message = check(value);
+        if(message) return message;
+    }
+};
+
+module.exports = {
+    checkNewUsername,
+    profile: validate({
+        body: {
+            username: [text()],
+            website: [text(), url()],
+            country: [text(), length(1, 60)],
+            portfolio: [text(), url()],
+            languages: [text(), length(1, 300)],
+            youtube: [text(), url()],
+            facebook: [text(), url()],
+            instagram: [text(), url()],
+            github: [text(), url()],
+            linkedin: [text(), url()],
+            personalsite: [text(), url()]
+        }
+    }),
+    username: validate({
+        params: {
+            username: [required()]
+        }
+    }),
+    deleteAccount: validate({
+        body: {
+            password: [required('Password is required'), text()]
+        }
+    }),
+    paging: validate({
+        query: {
+            page: [integer(1, 100000)],
+            limit: [integer(1, 100)]
+        }
+    }),
+    leaderboard: validate({
+        query: {
+            limit: [integer(1, 100)]
+        }
+    }),
+    workrole: validate({
+        body: Object.assign({
+            role: [required('Role is required'), text(), length(1, 100)]
+        }, workroleFields)
+    }),
+    //every field is optional when editing, whether the dates still make a
+    //range is checked against the stored entry
+    editWorkrole: validate({
+        params: {
+            w_id: [required(), mongoId()]
+        },
+        body: Object.assign({
+            role: [text(), length(1, 100)]
+        }, workroleFields)
+    }),
+    workroleId: validate({
+        params: {
+            w_id: [required(), mongoId()]
+        }
+    }),
+    education: validate({
+        body: Object.assign({
+            school: [required('School is required'), text(), length(1, 100)]
+        }, educationFields)
+    }),
+    editEducation: validate({
+        params: {
+            e_id: [required(), mongoId()]
+        },
+        body: Object.assign({
+            school: [text(), length(1, 100)]
+        }, educationFields)
+    }),
+    educationId: validate({
+        params: {
+            e_id: [required(), mongoId()]
+        }
+    })
+};
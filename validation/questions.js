@@ -0,0 +1,78 @@
+const validate = require('./validate');
+const { required, text, mongoId, date, length, integer, boolean, oneOf, tags } = require('./checks');
+
+const SORTS = ['newest', 'upvoted', 'answered', 'unanswered', 'active', 'hot'];
+const FLAG_REASONS = ['spam', 'offensive', 'offtopic', 'duplicate', 'other'];
+
+//query params shared by every question listing
+const listing = {
+    q: [text(), length(1, 200)],
+    author: [text(), length(1, 50)],
+    tags: [tags(10)],
+    from: [date()],
+    to: [date()],
+    answered: [boolean()],
+    minupvotes: [integer(0, 100000)],
+    sort: [oneOf(SORTS)],
+    page: [integer(1, 100000)],
+    limit: [integer(1, 100)]
+};
+
+const ids = {
+    id: [required(), mongoId()],
+    a_id: [mongoId()],
+    c_id: [mongoId()]
+};
+
+module.exports = {
+    listing: validate({ query: listing }),
+    tagged: validate({
+        params: { tag: [required(), tags(1)] },
+        query: listing
+    }),
+    question: validate({
+        body: {
+            textone: [required('Question title is required'), text(), length(1, 150)],
+            texttwo: [required('Question body is required'), text(), length(1, 10000)],
+            name: [text(), length(1, 50)],
+            tags: [tags()]
+        }
+    }),
+    editQuestion: validate({
+        params: ids,
+        body: {
+            textone: [text(), length(1, 150)],
+            texttwo: [text(), length(1, 10000)],
+            tags: [tags()]
+        }
+    }),
+    answer: validate({
+        params: ids,
+        body: {
+            text: [required('Answer text is required'), text(), length(1, 10000)],
+            name: [text(), length(1, 50)]
+        }
+    }),
+    editAnswer: validate({
+        params: ids,
+        body: {
+            text: [required('Answer text is required'), text(), length(1, 10000)]
+        }
+    }),
+    comment: validate({
+        params: ids,
+        body: {
+            text: [required('Comment text is required'), text(), length(1, 600, 'Comment can be at most 600 characters')],
+            name: [text(), length(1, 50)]
+        }
+    }),
+    flag: validate({
+        params: ids,
+        body: {
+            reason: [required('Reason is required'), oneOf(FLAG_REASONS)],
+            details: [text(), length(1, 500)]
+        }
+    }),
+    //routes that only take ids in the url
+    ids: validate({ params: ids })
+};
@@ -0,0 +1,39 @@
+const { isEmpty } = require('./checks');
+const { ValidationError } = require('../utils/errors');
+
+const SOURCES = ['params', 'query', 'body'];
+
+const isScalar = value => value === null || typeof value !== 'object';
+
+//build a middleware from rules shaped like
+//  { body: { email: [required(), email()] }, params: { id: [mongoId()] } }
+//checks run in order and the first failing one wins for its field. A list
+//or object, like a repeated query param, fails unless a check takes lists.
+//Fails with a 400 ValidationError of { field: message } for every field that failed
+const validate = rules => (req,res,next) => {
+    const errors = {};
+    SOURCES.forEach(source => {
+        const fields = rules[source] || {};
+        Object.keys(fields).forEach(field => {
+            const value = (req[source] || {})[field];
+            if(!isScalar(value) && !fields[field].some(check => check.list)){
+                errors[field] = 'Must be a single value';
+                return;
+            }
+            for(const check of fields[field]){
+                if(isEmpty(value) && !check.required) continue;
+                const message = check(value, req);
+                if(message){
+                    errors[field] = message;
+                    break;
+                }
+            }
+        });
+    });
+    if(Object.keys(errors).length){
+        return next(new ValidationError(errors));
+    }
+    next();
+};
+
+module.exports = validate;